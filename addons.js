@@ -1,21 +1,343 @@
-// addons.js — simple loader
+// addons.js — registry-driven add-on loader with manifests, permissions and hot reload/unload
+// Each entry in addons/registry.json is the add-on's manifest:
+//   { file, enabled, name, version, prefix, env?: [VAR], dependsOn?: [name], permissions?: [perm] }
+//   - prefix: every route of the add-on lives under it; core prefixes and other add-ons' prefixes are refused
+//   - env: required variables; the add-on sees only these (ctx.env)
+//   - dependsOn: loaded first; an add-on whose dependency is missing, disabled or broken is not loaded
+//   - permissions: fs:read | llm | memory:read | memory:write | tools — each unlocks one ctx capability
+// Add-ons export register(ctx) and get a scoped context instead of the app:
+//   ctx = { name, version, manifest, router, env, log, fence, sandbox, fs?, llm?, memory?, registerTool? }
+// ctx.router is mounted at the prefix (routes are relative to it) behind the chat-scope guard.
+// One dispatcher (mounted once) walks the live routers, so enabling, disabling or reloading an add-on
+// takes effect on the next request. registry.json is watched; sync() also reloads add-ons whose file
+// or manifest changed (e.g. after an approved self-edit). Unload drops the router, the add-on's chat
+// tools and its require.cache entry, and calls its optional unregister().
 const fs = require('fs');
 const path = require('path');
+const express = require('express');
+const tools = require('./tools');
+const selfread = require('./selfread');
+const llm = require('./llm');
+const memory = require('./memory');
+const fence = require('./selfedit/fence');
+const sandbox = require('./selfedit/sandbox');
 
-const ADDONS_DIR = path.join(process.cwd(), 'addons');
-function loadAddons(app) {
-  if (!fs.existsSync(ADDONS_DIR)) return;
-  const files = fs.readdirSync(ADDONS_DIR).filter(f => f.endsWith('.js'));
-  for (const file of files) {
-    try {
-      const mod = require(path.join(ADDONS_DIR, file));
-      if (typeof mod.register === 'function') {
-        mod.register(app);
-        console.log(`[Aurion] Add-on loaded: ${file}`);
+const ADDON_DIR = path.join(process.cwd(), 'addons');
+const REGISTRY = path.join(ADDON_DIR, 'registry.json');
+
+const PERMISSIONS = ['fs:read', 'llm', 'memory:read', 'memory:write', 'tools'];
+// Prefixes owned by the core server; add-ons can't mount on or under them
+const CORE_PREFIXES = ['/aurion', '/selfedit', '/selfread', '/core', '/addons', '/chat', '/healthz'];
+
+const mounted = new Map();  // file → { file, manifest, router, mod, mtimeMs, loadedAt }
+const failures = new Map(); // file → last validation/load error
+let order = [];             // live routers, dependency order
+let guard = (_req, _res, next) => next();
+
+//////////////
+// Registry //
+//////////////
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY)) return { addons: [] };
+  const manifest = JSON.parse(fs.readFileSync(REGISTRY, 'utf8'));
+  return { ...manifest, addons: Array.isArray(manifest.addons) ? manifest.addons : [] };
+}
+// Keeps the hand-edited layout: one add-on entry per line
+function entryLine(e) {
+  return `    { ${Object.entries(e).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')} }`;
+}
+function formatRegistry(manifest) {
+  const keys = Object.keys(manifest).map(k => k === 'addons'
+    ? `  "addons": [\n${manifest.addons.map(entryLine).join(',\n')}\n  ]`
+    : `  ${JSON.stringify(k)}: ${JSON.stringify(manifest[k])}`);
+  return `{\n${keys.join(',\n')}\n}\n`;
+}
+function writeRegistry(manifest) {
+  const tmp = REGISTRY + '.tmp';
+  fs.writeFileSync(tmp, formatRegistry(manifest), 'utf8');
+  fs.renameSync(tmp, REGISTRY);
+}
+
+// "hello-world" and "hello-world.js" both name addons/hello-world.js; nothing outside addons/
+function resolveFile(name) {
+  const file = String(name || '').endsWith('.js') ? String(name) : `${name}.js`;
+  const abs = path.resolve(ADDON_DIR, file);
+  if (path.dirname(abs) !== ADDON_DIR) throw new Error(`Invalid add-on: ${name}`);
+  return { file, abs };
+}
+
+///////////////
+// Manifests //
+///////////////
+const strList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string' && x);
+const overlaps = (a, b) => a === b || a.startsWith(b + '/') || b.startsWith(a + '/');
+
+// Shape checks for one entry → list of problems (empty = valid)
+function checkManifest(e) {
+  const errs = [];
+  if (typeof e.file !== 'string' || !/^[A-Za-z0-9_.-]+\.js$/.test(e.file)) errs.push('file must be a .js file name in addons/');
+  if (typeof e.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(e.name)) errs.push('name must be kebab-case');
+  if (typeof e.version !== 'string' || !/^\d+\.\d+\.\d+/.test(e.version)) errs.push('version must be semver (x.y.z)');
+  if (typeof e.prefix !== 'string' || !/^(\/[a-z0-9_-]+)+$/i.test(e.prefix)) errs.push('prefix must look like /addon/<name>');
+  else if (CORE_PREFIXES.some(p => overlaps(e.prefix, p))) errs.push(`prefix ${e.prefix} collides with a core route`);
+  for (const key of ['env', 'dependsOn', 'permissions']) {
+    if (e[key] != null && !strList(e[key])) errs.push(`${key} must be a list of strings`);
+  }
+  const unknown = (e.permissions || []).filter(p => !PERMISSIONS.includes(p));
+  if (unknown.length) errs.push(`unknown permission(s): ${unknown.join(', ')}`);
+  const missing = (e.env || []).filter(v => !process.env[v]);
+  if (missing.length) errs.push(`missing env: ${missing.join(', ')}`);
+  return errs;
+}
+
+// Validate every enabled entry, refuse name/prefix collisions, then order by dependencies.
+// → { ordered: [manifest], errors: Map<file, message> }
+function planLoad(entries) {
+  const errors = new Map();
+  const wanted = entries.filter(e => e && e.enabled !== false);
+  const byName = new Map();
+  const prefixes = [];
+  for (const e of wanted) {
+    const errs = checkManifest(e);
+    if (!errs.length && byName.has(e.name)) errs.push(`name ${e.name} already used by ${byName.get(e.name).file}`);
+    const clash = !errs.length && prefixes.find(p => overlaps(p.prefix, e.prefix));
+    if (clash) errs.push(`prefix ${e.prefix} collides with ${clash.name} (${clash.prefix})`);
+    if (errs.length) { errors.set(String(e.file), errs.join('; ')); continue; }
+    byName.set(e.name, e);
+    prefixes.push(e);
+  }
+
+  // Depth-first topological sort; dependencies on missing/invalid add-ons and cycles are errors
+  const ordered = [];
+  const state = new Map(); // name → 'visiting' | 'done' | 'failed'
+  function visit(e, trail) {
+    const s = state.get(e.name);
+    if (s === 'done') return true;
+    if (s === 'failed') return false;
+    if (s === 'visiting') {
+      errors.set(e.file, `dependency cycle: ${[...trail, e.name].join(' → ')}`);
+      state.set(e.name, 'failed');
+      return false;
+    }
+    state.set(e.name, 'visiting');
+    for (const dep of e.dependsOn || []) {
+      const d = byName.get(dep);
+      if (!d) { errors.set(e.file, `depends on ${dep}, which is not enabled or not valid`); state.set(e.name, 'failed'); return false; }
+      if (!visit(d, [...trail, e.name])) {
+        if (!errors.has(e.file)) errors.set(e.file, `dependency ${dep} failed`);
+        state.set(e.name, 'failed');
+        return false;
       }
-    } catch (e) {
-      console.error(`[Aurion] Failed to load add-on ${file}:`, e);
     }
+    state.set(e.name, 'done');
+    ordered.push(e);
+    return true;
+  }
+  for (const e of byName.values()) visit(e, []);
+  return { ordered, errors };
+}
+
+////////////////
+// Scoped ctx //
+////////////////
+function deniedCap(name, perm) {
+  return () => { throw new Error(`add-on ${name} lacks permission '${perm}'`); };
+}
+
+function buildContext(manifest, router) {
+  const perms = new Set(manifest.permissions || []);
+  const { name } = manifest;
+  const ctx = {
+    name,
+    version: manifest.version,
+    manifest: Object.freeze({ ...manifest }),
+    router,
+    env: Object.freeze(Object.fromEntries((manifest.env || []).map(v => [v, process.env[v]]))),
+    log: (...args) => console.log(`[addon:${name}]`, ...args),
+    // Write-fence checks need no permission: they only answer whether patches may be proposed (denials are audited)
+    fence: Object.freeze({ check: (patches) => fence.checkPatches(patches, { source: `addon:${name}` }), describe: fence.describe }),
+    // The validation allowlist, for proposal prompts
+    sandbox: Object.freeze({ describe: () => sandbox.describe() })
+  };
+  // Missing permission → the capability is still there but throws, so the error names what to declare
+  const gate = (key, perm, value) => {
+    Object.defineProperty(ctx, key, perms.has(perm)
+      ? { value, enumerable: true }
+      : { get: deniedCap(name, perm), enumerable: false });
+  };
+  gate('fs', 'fs:read', Object.freeze({
+    tree: selfread.listTree, read: selfread.readSlice, grep: selfread.grep, hash: selfread.hashFile
+  }));
+  gate('llm', 'llm', Object.freeze({
+    chat: llm.chat, stream: llm.stream, turn: llm.turn, embed: llm.embed,
+    pickModel: llm.pickModel, chatModel: () => llm.provider().chatModel
+  }));
+  const memRead = {
+    recall: memory.recallHybrid, loadMemories: memory.loadMemories,
+    getActiveState: memory.getActiveState, getWindow: memory.getWindow
+  };
+  const memWrite = {
+    storeMemory: (content, opts = {}) => memory.storeMemory(content, { ...opts, tags: [...(opts.tags || []), `addon:${name}`] }),
+    indexDecision: memory.indexDecision,
+    setActiveState: memory.setActiveState
+  };
+  if (perms.has('memory:write')) gate('memory', 'memory:write', Object.freeze({ ...memRead, ...memWrite }));
+  else gate('memory', 'memory:read', Object.freeze(memRead));
+  gate('registerTool', 'tools', (spec) => tools.registerTool({ ...spec, owner: name }));
+  return Object.freeze(ctx);
+}
+
+///////////////////
+// Load & unload //
+///////////////////
+function unload(file) {
+  const m = mounted.get(file);
+  if (!m) return false;
+  mounted.delete(file);
+  try { if (typeof m.mod.unregister === 'function') m.mod.unregister(); }
+  catch (e) { console.error(`[addons] ${file} unregister failed:`, e.message); }
+  tools.unregisterOwner(m.manifest.name);
+  try { delete require.cache[require.resolve(path.join(ADDON_DIR, file))]; } catch {}
+  console.log(`[addons] unloaded ${m.manifest.name}`);
+  return true;
+}
+
+function load(manifest) {
+  const { file } = manifest;
+  const { abs } = resolveFile(file);
+  unload(file);
+  failures.delete(file);
+  try {
+    delete require.cache[require.resolve(abs)];
+    const mod = require(abs);
+    if (typeof mod.register !== 'function') throw new Error('module has no register(ctx)');
+    const router = express.Router();
+    mod.register(buildContext(manifest, router));
+    const outer = express.Router();
+    outer.use(manifest.prefix, guard, router);
+    mounted.set(file, { file, manifest, router: outer, mod, mtimeMs: fs.statSync(abs).mtimeMs, loadedAt: new Date().toISOString() });
+    return true;
+  } catch (e) {
+    tools.unregisterOwner(manifest.name); // a half-run register() may have added some
+    failures.set(file, String(e.message || e));
+    console.error(`[addons] ${file} failed to load:`, e.message);
+    return false;
+  }
+}
+
+function reorder(ordered) {
+  order = ordered.map(e => mounted.get(e.file)).filter(Boolean).map(m => m.router);
+}
+
+// Bring mounted add-ons in line with the registry (and with their files on disk).
+// An add-on is (re)loaded when its file or manifest changed, or when one of its dependencies was.
+function sync() {
+  let manifest;
+  try { manifest = readRegistry(); }
+  catch (e) { console.error('[addons] registry unreadable, keeping current set:', e.message); return list(); }
+  const { ordered, errors } = planLoad(manifest.addons);
+  const keep = new Set(ordered.map(e => e.file));
+  for (const file of [...mounted.keys()]) if (!keep.has(file)) unload(file);
+  failures.clear();
+  for (const [file, msg] of errors) failures.set(file, msg);
+
+  const fresh = new Set(); // names (re)loaded this pass
+  const live = new Set();  // names mounted after this pass
+  for (const e of ordered) {
+    if ((e.dependsOn || []).some(d => !live.has(d))) {
+      unload(e.file);
+      failures.set(e.file, 'dependency failed to load');
+      continue;
+    }
+    const m = mounted.get(e.file);
+    let mtimeMs = null;
+    try { mtimeMs = fs.statSync(resolveFile(e.file).abs).mtimeMs; } catch {}
+    const stale = !m || m.mtimeMs !== mtimeMs
+      || JSON.stringify(m.manifest) !== JSON.stringify(e)
+      || (e.dependsOn || []).some(d => fresh.has(d));
+    if (stale && load(e)) fresh.add(e.name);
+    if (mounted.has(e.file)) live.add(e.name);
   }
+  reorder(ordered);
+  console.log(`[addons] ${mounted.size} mounted of ${manifest.addons.length} entries`);
+  return list();
+}
+
+function list() {
+  let entries = [];
+  try { entries = readRegistry().addons; } catch {}
+  return entries.filter(e => e && e.file).map(e => {
+    const m = mounted.get(e.file);
+    return {
+      file: e.file,
+      name: e.name || null,
+      version: e.version || null,
+      prefix: e.prefix || null,
+      permissions: e.permissions || [],
+      dependsOn: e.dependsOn || [],
+      enabled: e.enabled !== false,
+      loaded: !!m,
+      loadedAt: m?.loadedAt || null,
+      error: failures.get(e.file) || null,
+      tools: m ? tools.listTools().filter(t => t.owner === e.name).map(t => t.name) : []
+    };
+  });
+}
+
+// Entries are addressed by manifest name or file name
+function findEntry(manifest, key) {
+  const entry = manifest.addons.find(e => e && (e.name === key || e.file === key || e.file === `${key}.js`));
+  if (!entry) throw Object.assign(new Error(`Add-on not in registry: ${key}`), { status: 404 });
+  resolveFile(entry.file);
+  return entry;
+}
+
+// Flip `enabled` in registry.json, then apply it now (the watcher would too, a moment later)
+function setEnabled(key, enabled) {
+  const manifest = readRegistry();
+  const entry = findEntry(manifest, key);
+  entry.enabled = !!enabled;
+  writeRegistry(manifest);
+  return sync().find(e => e.file === entry.file);
+}
+
+// Force a fresh require() even if nothing changed on disk; dependents are reloaded with it
+function reload(key) {
+  const entry = findEntry(readRegistry(), key);
+  if (entry.enabled === false) throw Object.assign(new Error(`Add-on is disabled: ${entry.file}`), { status: 409 });
+  unload(entry.file);
+  sync();
+  return list().find(e => e.file === entry.file);
+}
+
+// Express middleware: runs the live routers in order, then falls through
+function dispatcher(req, res, next) {
+  const routers = order; // snapshot: a reload mid-request doesn't change this request's chain
+  let i = 0;
+  const step = (err) => {
+    if (err) return next(err);
+    const r = routers[i++];
+    if (!r) return next();
+    r(req, res, step);
+  };
+  step();
+}
+
+let watching = false;
+function watch(intervalMs = 1000) {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(REGISTRY, { interval: intervalMs }, (cur, prev) => {
+    if (cur.mtimeMs !== prev.mtimeMs) sync();
+  });
 }
-module.exports = { loadAddons };
+
+// opts.guard: middleware in front of every add-on route (server passes the chat-scope check)
+function loadAddons(app, opts = {}) {
+  if (opts.guard) guard = opts.guard;
+  app.use(dispatcher);
+  sync();
+  watch();
+}
+
+module.exports = { loadAddons, sync, list, setEnabled, reload, dispatcher, checkManifest, PERMISSIONS, CORE_PREFIXES, REGISTRY };
@@ -1,55 +1,63 @@
 // addons/addon-forge.js
 // Safely scaffold new addons + prepare selfedit patches (write-fence compliant)
-
-const fs = require("fs");
-const path = require("path");
+// Manifest: prefix /addon/forge, no permissions. Generated add-ons get a registry manifest
+// (name, version, prefix /addon/<name>) and register(ctx) with routes relative to that prefix.
 
 function kebab(s){return String(s||"").trim().toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"");}
-function routeLine(method,path){return `app.${method.toLowerCase()}("${path}", (req,res)=>{ res.json({ ok:true, forge:"${path}" }); });`}
+function routeLine(method,path){return `router.${method.toLowerCase()}("${path}", (req,res)=>{ res.json({ ok:true, forge:"${path}" }); });`}
+// Routes are relative to the add-on prefix; "/addon/<name>/x" and "x" both become "/x"
+function relRoute(name, p){
+  const prefix = `/addon/${name}`;
+  let r = String(p||"/ping");
+  if (r === prefix || r.startsWith(prefix + "/")) r = r.slice(prefix.length) || "/";
+  return r.startsWith("/") ? r : "/" + r;
+}
 
 function addonTemplate({ name, routes=[] }) {
   const lines = [];
   lines.push(`// addons/${name}.js`);
   lines.push(`// Generated by addon-forge — feel free to edit`);
+  lines.push(`// Routes are relative to the manifest prefix /addon/${name}`);
   lines.push(``);
-  lines.push(`function register(app) {`);
+  lines.push(`function register({ router, log }) {`);
   if (routes.length === 0) {
-    lines.push(`  app.get("/addon/${name}/ping", (_req,res)=> res.json({ ok:true, addon:"${name}" }));`);
+    lines.push(`  router.get("/ping", (_req,res)=> res.json({ ok:true, addon:"${name}" }));`);
   } else {
     for (const r of routes) {
-      const m = (r.method||"get").toLowerCase();
-      const p = r.path || `/addon/${name}/ping`;
-      lines.push(`  ${routeLine(m,p)}`);
+      const m = String(r.method||"get").toLowerCase();
+      if (!["get","post","put","patch","delete"].includes(m)) continue;
+      lines.push(`  ${routeLine(m, relRoute(name, r.path))}`);
     }
   }
-  lines.push(`  console.log("[addon:${name}] mounted");`);
+  lines.push(`  log("mounted");`);
   lines.push(`}`);
   lines.push(`module.exports = { register };`);
   lines.push(``);
   return lines.join("\n");
 }
 
-function buildProposal({ fileName, code }) {
+function buildProposal({ name, fileName, code }) {
   // Patch #1: create the addon file
   const p1 = {
     target: `addons/${fileName}`,
     action: "create",
     snippet: code
   };
-  // Patch #2: enable in registry.json (insert object after the "addons": [ anchor)
+  // Patch #2: enable in registry.json with its manifest (appended to the "addons" array)
+  const manifest = { file: fileName, enabled: true, name, version: "0.1.0", prefix: `/addon/${name}` };
   const p2 = {
     target: "addons/registry.json",
-    action: "insertAfter",
-    anchor: `"addons": [`,
-    snippet: `\n    { "file": "${fileName}", "enabled": true },`
+    action: "jsonSet",
+    path: "/addons/-",
+    value: manifest
   };
   return {
     goal: `Scaffold and enable addon ${fileName}`,
-    rationale: "Expand capabilities safely within write-fence.",
+    rationale: "Expand capabilities safely within the write fence.",
     patches: [p1, p2],
+    // Validation also syntax-checks touched files and load-tests the add-on; tests[] must be allowlisted commands
     tests: [
-      { cmd: "node -e \"require('fs').readFileSync('addons/registry.json','utf8') && console.log('registry ok')\"", description: "registry.json readable" },
-      { cmd: "node -e \"require('./addons/${fileName.replace(/"/g,'\\"')}') && console.log('addon loads')\"", description: "addon module loads" },
+      { cmd: `node --check addons/${fileName}`, description: "addon parses" },
       { cmd: "npm run build", description: "client build (noop-safe) passes" }
     ],
     risk: "Low; only touches addons/** and registry.json formatting is preserved.",
@@ -57,13 +65,13 @@ function buildProposal({ fileName, code }) {
   };
 }
 
-function register(app) {
+function register({ router, fence }) {
   // Quick health
-  app.get("/addon/forge/health", (_req,res)=> res.json({ ok:true, forge:"ready" }));
+  router.get("/health", (_req,res)=> res.json({ ok:true, forge:"ready" }));
 
   // POST /addon/forge/propose
-  // body: { name: "my-addon", routes?: [{method:"get", path:"/addon/my-addon/hello"}] }
-  app.post("/addon/forge/propose", expressJson, (req,res) => {
+  // body: { name: "my-addon", routes?: [{method:"get", path:"/hello"}] }
+  router.post("/propose", (req,res) => {
     try {
       const raw = String(req.body?.name || "");
       if (!raw) return res.status(400).json({ ok:false, error:"Missing name" });
@@ -74,7 +82,9 @@ function register(app) {
       const routes = Array.isArray(req.body?.routes) ? req.body.routes : [];
       const code = addonTemplate({ name, routes });
 
-      const proposal = buildProposal({ fileName, code });
+      const proposal = buildProposal({ name, fileName, code });
+      const denied = fence.check(proposal.patches);
+      if (denied.length) return res.status(403).json({ ok:false, error:"write fence denied target(s)", denied });
       return res.json({ ok:true, proposal, tip: "POST this to /selfedit/propose, then validate & approve." });
     } catch (e) {
       return res.status(500).json({ ok:false, error:String(e.message||e) });
@@ -82,16 +92,4 @@ function register(app) {
   });
 }
 
-function expressJson(req,res,next){
-  if (req.is("application/json") || String(req.headers["content-type"]||"").includes("application/json")) {
-    let body="";
-    req.on("data",c=>body+=c);
-    req.on("end",()=>{ try{ req.body = body? JSON.parse(body):{}; }catch{ req.body={}; } next(); });
-  } else {
-    // best-effort: empty body
-    req.body = {};
-    next();
-  }
-}
-
 module.exports = { register };
@@ -1,58 +1,48 @@
 // addons/reason-core.js
 // Multi-pass reasoning: plan → solve → self-critique → (optional) propose patches
-const fs = require("fs");
-const path = require("path");
-let OpenAI = null; try { OpenAI = require("openai"); } catch {}
-const openai = OpenAI ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
 
-const ROOT = process.cwd();
-const DENY = ["node_modules/","backups/","proposals/",".git/",".env",".env.local",".env.production",".env.development"];
-const SAFE_TARGET = (t)=> t==="core.json" || t.startsWith("addons/") || t.startsWith("public/");
-
-function listTree(depthMax=3){
-  const out=[]; (function walk(dir,depth=0){
-    for(const e of fs.readdirSync(dir,{withFileTypes:true})){
-      const full=path.join(dir,e.name); const rel=path.relative(ROOT,full).replaceAll("\\","/");
-      if (DENY.some(d=> rel===d || rel.startsWith(d))) continue;
-      const isDir=e.isDirectory(); out.push({rel:rel+(isDir?"/":""),dir:isDir,depth});
-      if(isDir && depth<depthMax) walk(full,depth+1);
-    }
-  })(ROOT); return out;
-}
-function readSmall(rel, max=200*1024){
-  const p=path.join(ROOT,rel); if(!fs.existsSync(p)) return null;
-  const st=fs.statSync(p); if(!st.isFile() || st.size>max) return null;
-  return fs.readFileSync(p,"utf8");
-}
-async function chat(messages, max_tokens=800, temperature=0.3){
-  if(!openai) return "[openai not configured]";
-  const r = await openai.chat.completions.create({
-    model: process.env.AURION_MODEL || "gpt-4o-mini",
-    temperature, max_tokens, messages
-  });
-  return r.choices?.[0]?.message?.content || "";
+// Manifest: prefix /reason, permissions fs:read (project tree), llm, tools (reason_plan).
+// Helpers are bound to the add-on's ctx in register().
+function helpers(ctx){
+  const listTree = (depthMax=3)=> ctx.fs.tree(depthMax);
+  const readSmall = (rel)=>{ try{ return ctx.fs.read(rel).content; }catch{ return null; } };
+  const chat = (messages, max_tokens=800, temperature=0.3)=>
+    ctx.llm.chat(messages, { model: ctx.llm.chatModel(), temperature, max_tokens });
+  return { listTree, readSmall, chat };
 }
 function jsonOrNull(s){ try{ return JSON.parse(s);}catch{ return null; } }
 
-function register(app){
+// Plan: turn a goal into ordered steps (JSON). Shared by POST /reason/plan and the reason_plan tool.
+async function plan({ listTree, readSmall, chat }, goal){
+  const tree = listTree(2).slice(0,60).map(x=>x.rel).join("\n");
+  const serverHead = (readSmall("server.js")||"").slice(0,2500);
+  const planTxt = await chat([
+    {role:"system",content:"Return ONLY JSON: {steps:[{id,desc,type:'analysis'|'code'|'test'|'memory',target?}], risks:[...], notes:[...]} Short, actionable."},
+    {role:"user",content:`Goal:\n${String(goal||"").slice(0,2000)}\n\nFiles:\n${tree}\n\nserver.js (head):\n${serverHead}`}
+  ], 600, 0.25);
+  return jsonOrNull(planTxt) || { steps:[], risks:["plan parse failed"], notes:[planTxt] };
+}
 
-  // Plan: turn a goal into ordered steps (JSON)
-  app.post("/reason/plan", async (req,res)=>{
+function register(ctx){
+  const { router } = ctx;
+  const h = helpers(ctx);
+  const { listTree, readSmall, chat } = h;
+
+  router.post("/plan", async (req,res)=>{
     try{
-      const goal = String(req.body?.goal || "").slice(0,2000);
-      const tree = listTree(2).slice(0,60).map(x=>x.rel).join("\n");
-      const serverHead = (readSmall("server.js")||"").slice(0,2500);
-      const planTxt = await chat([
-        {role:"system",content:"Return ONLY JSON: {steps:[{id,desc,type:'analysis'|'code'|'test'|'memory',target?}], risks:[...], notes:[...]} Short, actionable."},
-        {role:"user",content:`Goal:\n${goal}\n\nFiles:\n${tree}\n\nserver.js (head):\n${serverHead}`}
-      ], 600, 0.25);
-      const plan = jsonOrNull(planTxt) || { steps:[], risks:["plan parse failed"], notes:[planTxt] };
-      res.json({ok:true, plan});
+      res.json({ok:true, plan: await plan(h, req.body?.goal)});
     }catch(e){ res.status(500).json({ok:false,error:String(e.message||e)}); }
   });
 
+  ctx.registerTool({
+    name: "reason_plan",
+    description: "Break a goal into ordered, actionable steps with risks (JSON plan grounded in the project files).",
+    parameters: { type:"object", properties:{ goal:{ type:"string" } }, required:["goal"] },
+    handler: ({ goal }) => plan(h, goal)
+  });
+
   // Solve: use a plan to produce an answer (no patches)
-  app.post("/reason/solve", async (req,res)=>{
+  router.post("/solve", async (req,res)=>{
     try{
       const problem = String(req.body?.problem || "").slice(0,6000);
       const hints = String(req.body?.hints || "").slice(0,2000);
@@ -95,27 +85,31 @@ function register(app){
   });
 
   // Propose patches (write-fence respected) — returns proposal JSON, doesn’t apply
-  app.post("/reason/propose", async (req,res)=>{
+  router.post("/propose", async (req,res)=>{
     try{
       const ask = String(req.body?.ask || "Create a tiny addon exposing GET /addon/sample/ping").slice(0,2000);
       const context = (readSmall("addons/registry.json")||"") + "\n---\n" + (readSmall("server.js")||"");
       const draft = await chat([
         {role:"system",content:`Return ONLY JSON:
-{ goal, rationale, patches:[{target, action:(create|append|replace|insertAfter), anchor?, find?, replace?, snippet?}], tests:[{cmd,description}], risk, revert }
-Constraints: targets MUST be in addons/** or public/** or core.json. Prefer additive, minimal diffs.`},
+{ goal, rationale, patches:[{target, action, ...fields}], tests:[{cmd,description}], risk, revert }
+Actions: create{snippet} delete{} rename{to} replace{find,replace} regexReplace{pattern,flags?,replace,count?}
+replaceLines{startLine,endLine,snippet} append{snippet} insertAfter{anchor,snippet} insertBefore{anchor,snippet}
+jsonSet{path,value} jsonMerge{path?,value} (JSON Pointer paths, "/addons/-" appends; use these for .json files).
+${ctx.fence.describe()}
+${ctx.sandbox.describe()}
+Constraints: Prefer additive, minimal diffs.`},
         {role:"user",content:`ASK:\n${ask}\n\nCONTEXT:\n${context.slice(0,4000)}`}
       ], 1000, 0.25);
       const proposal = jsonOrNull(draft);
       if (!proposal || !Array.isArray(proposal.patches)) return res.status(422).json({ok:false,error:"invalid JSON", draft});
-      if (!proposal.patches.every(p=> SAFE_TARGET(String(p.target||"")))) {
-        return res.status(400).json({ok:false,error:"unsafe target(s)", draft:proposal});
-      }
+      const denied = ctx.fence.check(proposal.patches);
+      if (denied.length) return res.status(403).json({ok:false,error:"write fence denied target(s)", denied, draft:proposal});
       res.json({ok:true, proposal});
     }catch(e){ res.status(500).json({ok:false,error:String(e.message||e)}); }
   });
 
   // Score a proposal for usefulness/safety
-  app.post("/reason/critic", async (req,res)=>{
+  router.post("/critic", async (req,res)=>{
     try{
       const proposal = req.body?.proposal;
       if (!proposal) return res.status(400).json({ok:false,error:"Missing 'proposal'"});
@@ -127,7 +121,7 @@ Constraints: targets MUST be in addons/** or public/** or core.json. Prefer addi
     }catch(e){ res.status(500).json({ok:false,error:String(e.message||e)}); }
   });
 
-  console.log("[addon:reason-core] mounted");
+  ctx.log("mounted");
 }
 
 module.exports = { register };
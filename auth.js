@@ -0,0 +1,73 @@
+// auth.js — Bearer-token auth with scoped secrets
+// Scopes:
+//   chat    → talk to Aurion and read (chat, /core GET, /selfread/*, add-on routes)
+//   core    → edit the Presidential Core and draft self-edit proposals
+//   approve → validate/approve/rollback self-edits (implies core + chat)
+// Secrets (env):
+//   AURION_API_SECRET      → every scope (owner key)
+//   AURION_CHAT_SECRET     → chat
+//   AURION_CORE_SECRET     → chat + core
+//   AURION_APPROVE_SECRET  → chat + core + approve
+// If no secret is configured at all, auth is OFF (local dev) and a warning is logged once.
+const crypto = require('crypto');
+
+const SCOPES = ['chat', 'core', 'approve'];
+const KEYS = [
+  { env: 'AURION_API_SECRET',     scopes: SCOPES },
+  { env: 'AURION_CHAT_SECRET',    scopes: ['chat'] },
+  { env: 'AURION_CORE_SECRET',    scopes: ['chat', 'core'] },
+  { env: 'AURION_APPROVE_SECRET', scopes: ['chat', 'core', 'approve'] },
+];
+
+function sha(s) { return crypto.createHash('sha256').update(String(s)).digest(); }
+
+// Hash both sides so timingSafeEqual always compares equal-length buffers
+function safeEqual(a, b) { return crypto.timingSafeEqual(sha(a), sha(b)); }
+
+function configuredKeys() {
+  return KEYS.filter(k => process.env[k.env]).map(k => ({ ...k, secret: process.env[k.env] }));
+}
+
+function bearerToken(req) {
+  const h = String(req.headers.authorization || '');
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+// Resolve a token to its key entry (or null). Every key is checked so timing doesn't leak which matched.
+function identify(token) {
+  let hit = null;
+  for (const k of configuredKeys()) {
+    if (safeEqual(token, k.secret) && !hit) hit = k;
+  }
+  return hit;
+}
+
+let warned = false;
+function requireScope(scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown auth scope: ${scope}`);
+  return (req, res, next) => {
+    if (!configuredKeys().length) {
+      if (!warned) { warned = true; console.warn('[auth] no AURION_*_SECRET set — API is UNAUTHENTICATED'); }
+      req.auth = { key: null, scopes: SCOPES };
+      return next();
+    }
+    const token = bearerToken(req);
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ ok: false, error: 'Missing bearer token' });
+    }
+    const key = identify(token);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ ok: false, error: 'Invalid token' });
+    }
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ ok: false, error: `Token lacks scope "${scope}"` });
+    }
+    req.auth = { key: key.env, scopes: key.scopes };
+    next();
+  };
+}
+
+module.exports = { requireScope, SCOPES };
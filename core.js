@@ -0,0 +1,199 @@
+// core.js — Versioned Presidential Core
+// The live core is the "core.json" document in storage ({ meta, core }); every save is also kept as a numbered
+// "core-versions" record ({ version, at, author, reason, restoredFrom?, meta, core }). With the file backend
+// (storage/) those are DATA_DIR/core.json and DATA_DIR/core-versions/<n>.json.
+//   - Entries are typed directives { id, category, priority, text, enabled }; higher priority wins.
+//     Legacy strings ("ETHICS: Never …") are migrated on boot and whenever they are saved.
+//   - `meta` (identity, version, creators) always survives a save; it is restored from the repo's
+//     core.json if an older build dropped it.
+//   - A save that would leave the core empty is refused unless it carries `override: true`.
+//   - Saving the same entries again is a no-op (no new version).
+const fs = require('fs');
+const { unifiedDiff } = require('./selfedit/diff');
+
+////////////////
+// Directives //
+////////////////
+const DEFAULT_PRIORITY = 50;
+// Priorities given to the prefixes the shipped core.json used; anything else starts at DEFAULT_PRIORITY
+const CATEGORY_PRIORITY = {
+  hierarchy: 100, system: 95, ethics: 90, 'prime-directive': 85, autonomy: 80, persona: 70,
+  memory: 60, 'failure-mode': 55, style: 40, 'response-shape': 35
+};
+
+const slug = (s) => String(s || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+const bad = (message) => Object.assign(new Error(message), { status: 400 });
+
+// "PRIME DIRECTIVE: Advance …" → { category: 'prime-directive', text: 'Advance …' }
+function fromString(s) {
+  const m = /^([A-Z][A-Z0-9 _/&-]{0,40}):\s*([\s\S]+)$/.exec(s.trim());
+  return m ? { category: slug(m[1]), text: m[2].trim() } : { category: 'general', text: s.trim() };
+}
+
+// Strings and partial objects → full directives with unique ids (explicit ids are kept, missing ones are
+// derived from the category). strict: invalid entries throw (400); otherwise they are dropped / repaired.
+function normalizeDirectives(entries, { strict = true } = {}) {
+  const parsed = [];
+  for (const [i, e] of (entries || []).entries()) {
+    const d = typeof e === 'string' ? fromString(e) : (e && typeof e === 'object' ? { ...e } : null);
+    const text = typeof d?.text === 'string' ? d.text.trim() : '';
+    if (!text) { if (strict) throw bad(`Directive ${i + 1} needs non-empty text`); continue; }
+    const category = slug(d.category) || 'general';
+    let priority = d.priority == null || d.priority === '' ? (CATEGORY_PRIORITY[category] ?? DEFAULT_PRIORITY) : Number(d.priority);
+    if (!Number.isInteger(priority) || priority < 0 || priority > 100) {
+      if (strict) throw bad(`Directive ${i + 1}: priority must be an integer from 0 to 100`);
+      priority = DEFAULT_PRIORITY;
+    }
+    parsed.push({ id: slug(d.id), category, priority, text, enabled: d.enabled !== false });
+  }
+  const taken = new Set();
+  for (const d of parsed) {
+    if (!d.id) continue;
+    if (taken.has(d.id)) {
+      if (strict) throw bad(`Duplicate directive id: ${d.id}`);
+      d.id = '';
+    } else taken.add(d.id);
+  }
+  for (const d of parsed.filter(x => !x.id)) {
+    let id = d.category;
+    for (let n = 2; taken.has(id); n++) id = `${d.category}-${n}`;
+    taken.add(id);
+    d.id = id;
+  }
+  return parsed;
+}
+
+// Enabled directives grouped by category; groups by their highest priority, directives by priority
+// (ties keep their saved order) → [{ category, priority, directives }]
+function groupDirectives(directives) {
+  const groups = new Map();
+  directives.filter(d => d.enabled).forEach((d, order) => {
+    if (!groups.has(d.category)) groups.set(d.category, []);
+    groups.get(d.category).push({ d, order });
+  });
+  return [...groups].map(([category, items]) => {
+    const sorted = items.sort((a, b) => b.d.priority - a.d.priority || a.order - b.order).map(x => x.d);
+    return { category, priority: sorted[0].priority, directives: sorted, first: items[0].order };
+  }).sort((a, b) => b.priority - a.priority || a.first - b.first)
+    .map(({ first, ...g }) => g);
+}
+
+const directiveLine = (d) => `[${d.priority}] ${d.category}/${d.id}${d.enabled ? '' : ' (disabled)'}: ${d.text.replace(/\n/g, '\\n')}`;
+
+// store: the storage interface (storage/index.js) — documents + records
+function createCore({ repoFile, store }) {
+  const LIVE = 'core.json';
+  const versions = store.records('core-versions');
+
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+  const versionId = (n) => String(n).padStart(6, '0');
+
+  // Raw document as stored (core may still hold legacy strings)
+  function shape(raw) {
+    if (Array.isArray(raw)) return { meta: {}, core: raw };
+    return { meta: raw?.meta && typeof raw.meta === 'object' ? raw.meta : {}, core: Array.isArray(raw?.core) ? raw.core : [] };
+  }
+  const readRepo = () => shape(JSON.parse(fs.readFileSync(repoFile, 'utf8')));
+  const readLive = () => shape(store.readJSON(LIVE, null));
+  function load() {
+    try {
+      const doc = readLive();
+      return { meta: doc.meta, core: normalizeDirectives(doc.core, { strict: false }) };
+    } catch { return { meta: {}, core: [] }; }
+  }
+  function writeLive(doc) { store.writeJSON(LIVE, { meta: doc.meta, core: doc.core }); }
+
+  function versionNumbers() {
+    return versions.ids().filter(id => /^\d+$/.test(id)).map(Number).sort((a, b) => a - b);
+  }
+  function current() { const all = versionNumbers(); return all.length ? all[all.length - 1] : 0; }
+  function getVersion(n) {
+    const v = Number.isInteger(Number(n)) ? versions.get(versionId(Number(n))) : null;
+    if (!v) throw fail(404, `Core version not found: ${n}`);
+    return v;
+  }
+  function record(doc, { author, reason, restoredFrom }) {
+    const entry = {
+      version: current() + 1,
+      at: new Date().toISOString(),
+      author: author || 'anon',
+      reason: String(reason || '').slice(0, 500),
+      ...(restoredFrom ? { restoredFrom } : {}),
+      meta: doc.meta,
+      core: doc.core
+    };
+    versions.put(versionId(entry.version), entry);
+    return entry;
+  }
+
+  // First boot copies the repo core into storage; an existing stored core gets its meta back and becomes v1.
+  // Legacy string entries are migrated to directives (recorded as a version of its own).
+  function init() {
+    let repoMeta = {};
+    try { repoMeta = readRepo().meta; } catch {}
+    if (store.readJSON(LIVE, null) === null) {
+      if (!fs.existsSync(repoFile)) throw new Error('Missing core.json in repo root. Add it before deploy.');
+      store.writeJSON(LIVE, JSON.parse(fs.readFileSync(repoFile, 'utf8')));
+      console.log('[Aurion] core.json copied to persistent storage.');
+    }
+    let stored = { meta: {}, core: [] };
+    try { stored = readLive(); } catch {}
+    const doc = { meta: stored.meta, core: stored.core };
+    if (!Object.keys(doc.meta).length && Object.keys(repoMeta).length) {
+      doc.meta = repoMeta;
+      writeLive(doc);
+      console.log('[Aurion] core.json meta restored from repo.');
+    }
+    if (!current()) record(doc, { author: 'system', reason: 'Initial version' });
+    if (doc.core.some(e => typeof e === 'string')) {
+      doc.core = normalizeDirectives(doc.core, { strict: false });
+      writeLive(doc);
+      record(doc, { author: 'system', reason: 'Migrate core to typed directives' });
+      console.log(`[Aurion] core.json migrated to ${doc.core.length} typed directives.`);
+    }
+  }
+
+  // → { version, unchanged } ; entries are directives (or legacy strings, migrated here).
+  // A core with no enabled directive counts as empty.
+  function save(entries, { author, reason, override = false, restoredFrom } = {}) {
+    if (!Array.isArray(entries)) throw fail(400, "'core' must be an array");
+    const core = normalizeDirectives(entries);
+    if (!core.some(d => d.enabled) && !override) {
+      throw fail(409, 'Refusing to empty the core; resend with "override": true if that is intended');
+    }
+    const live = load();
+    if (JSON.stringify(live.core) === JSON.stringify(core)) return { version: current(), unchanged: true };
+    const doc = { meta: live.meta, core };
+    writeLive(doc);
+    return { version: record(doc, { author, reason, restoredFrom }).version, unchanged: false };
+  }
+
+  // Newest first, without the entries themselves
+  function list() {
+    return versionNumbers().reverse().map(n => {
+      const { core, meta, ...v } = getVersion(n);
+      return { ...v, count: core.length };
+    });
+  }
+
+  // One directive per line, so the diff reads as "directive added / removed / edited"
+  function diff(from, to = current()) {
+    const a = getVersion(from), b = getVersion(to);
+    const asText = (core) => normalizeDirectives(core, { strict: false }).map(directiveLine).join('\n') + (core.length ? '\n' : '');
+    const { diff: text, hunks, added, removed } = unifiedDiff('core', asText(a.core), asText(b.core));
+    return {
+      from: a.version, to: b.version, added, removed, diff: text, hunks,
+      metaChanged: JSON.stringify(a.meta) !== JSON.stringify(b.meta)
+    };
+  }
+
+  // Restoring is a new version with the old entries (history is never rewritten); meta stays as it is now
+  function restore(n, { author, reason, override } = {}) {
+    const v = getVersion(n);
+    return save(v.core, { author, reason: reason || `Restore version ${v.version}`, override, restoredFrom: v.version });
+  }
+
+  return { init, load, save, list, current, getVersion, diff, restore };
+}
+
+module.exports = { createCore, normalizeDirectives, groupDirectives, CATEGORY_PRIORITY, DEFAULT_PRIORITY };
@@ -0,0 +1,70 @@
+// /llm/importance.js
+// How much a memory is worth keeping, 0–1. Decay (memory/episodic.js) and recall ranking build on it.
+//   AURION_IMPORTANCE_SCORER=heuristic (default) → cues in the text, no model call: decisions, preferences and
+//     facts about the user score high; greetings, acknowledgements, bare questions and file / code dumps low.
+//   AURION_IMPORTANCE_SCORER=llm → the chat model rates the line 0–10. An unparsable answer or a failed call
+//     falls back to the heuristic, so scoring never blocks storing.
+// → { importance, by: "heuristic" | "llm" }
+const llm = require("./index");
+
+const SCORER = String(process.env.AURION_IMPORTANCE_SCORER || "heuristic").toLowerCase() === "llm" ? "llm" : "heuristic";
+
+const CUES = [
+  /\b(decided|decision|agreed|settled on|going with|we('ll| will) use|let's use|chose|switch(ed)? to)\b/i,
+  /\b(i|we) (prefer|like|love|hate|dislike|want|need|always|never|usually|can't|cannot)\b/i,
+  /\b(my|our) (name|job|role|team|company|project|goal|plan|deadline|stack|partner|wife|husband|kids?|son|daughter|dog|cat|birthday)\b/i,
+  /\b(i am|i'm|i work|i live|i use|i'm building|we're building)\b/i,
+  /\b(remember|don't forget|important|deadline|must|from now on)\b/i
+];
+const CHATTER = /^(hi|hey|hello|yo|thanks?|thank you|thx|ok(ay)?|k|cool|nice|great|lol|haha|sure|yes|no|yep|nope|bye|good (morning|night)|got it)\b[\s!.?]*$/i;
+const TAG_FLOOR = { decision: 0.8, fact: 0.8, selfedit: 0.6 };
+
+const clamp = (n) => Math.round(Math.min(1, Math.max(0, n)) * 100) / 100;
+// "User steve: hi" / "Aurion: …" → the line itself
+const body = (text) => String(text || "").replace(/^(User [^:]{1,64}|Aurion):\s*/, "").trim();
+
+function looksLikeDump(text) {
+  const lines = text.split("\n");
+  if (text.length > 3000) return true;
+  if (lines.length < 12) return false;
+  const codey = lines.filter(l => /[{};=<>]|^\s{2,}\S|^\s*(\/\/|#|\*)/.test(l)).length;
+  return codey / lines.length > 0.4;
+}
+
+function heuristicImportance(text, tags = []) {
+  const t = body(text);
+  let score;
+  if (!t || CHATTER.test(t) || t.length < 12) score = 0.05;
+  else if (looksLikeDump(t)) score = 0.1;
+  else {
+    const cues = CUES.filter(rx => rx.test(t)).length;
+    score = cues ? 0.45 + 0.15 * cues : /\?\s*$/.test(t) ? 0.25 : 0.35;
+    if (tags.includes("response")) score -= 0.1; // the user's own words carry more than replies
+  }
+  for (const tag of tags) score = Math.max(score, TAG_FLOOR[tag] ?? 0);
+  return { importance: clamp(score), by: "heuristic" };
+}
+
+async function modelImportance(text, tags = []) {
+  const sys = "Rate how useful this line is to remember long-term, from 0 to 10. High: decisions (with why), " +
+    "preferences, stable facts about the user, their projects and the people they mention. Low: greetings, " +
+    "acknowledgements, small talk, raw file contents or logs. Answer with the number only.";
+  try {
+    const out = await llm.chat(
+      [{ role: "system", content: sys }, { role: "user", content: body(text).slice(0, 2000) }],
+      { model: llm.provider().chatModel, temperature: 0, max_tokens: 4 }
+    );
+    const m = /^\s*(\d+(?:\.\d+)?)\s*$/.exec(String(out || ""));
+    if (m && Number(m[1]) <= 10) {
+      const floor = Math.max(0, ...tags.map(tag => TAG_FLOOR[tag] ?? 0));
+      return { importance: clamp(Math.max(floor, Number(m[1]) / 10)), by: "llm" };
+    }
+  } catch { /* fall through */ }
+  return heuristicImportance(text, tags);
+}
+
+function scoreImportance(text, tags = []) {
+  return SCORER === "llm" ? modelImportance(text, tags) : Promise.resolve(heuristicImportance(text, tags));
+}
+
+module.exports = { SCORER, heuristicImportance, scoreImportance };
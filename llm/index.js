@@ -0,0 +1,161 @@
+// /llm/index.js
+// One provider for every LLM call (server chat, embeddings, reason-core, summarizer).
+//
+// AURION_LLM_PROVIDER = openai | local | mock
+//   openai → api.openai.com (OPENAI_API_KEY)
+//   local  → any OpenAI-compatible server at AURION_LLM_BASE_URL (key: AURION_LLM_API_KEY, optional)
+//   mock   → deterministic offline chat + embeddings (no network; for dev and tests)
+// Unset → openai when OPENAI_API_KEY exists, local when AURION_LLM_BASE_URL exists, mock under
+// NODE_ENV=development|test. Anything else is a startup error: a deploy missing its key must not answer
+// users with canned mock replies.
+//
+// Models: AURION_MODEL pins the chat model; AURION_EMBED_MODEL the embedding model.
+const { createOpenAIBackend } = require("./openai");
+const { createMockBackend } = require("./mock");
+
+function resolveName() {
+  const forced = String(process.env.AURION_LLM_PROVIDER || "").trim().toLowerCase();
+  if (forced) return forced;
+  if (process.env.OPENAI_API_KEY) return "openai";
+  if (process.env.AURION_LLM_BASE_URL) return "local";
+  if (["development", "test"].includes(process.env.NODE_ENV)) {
+    console.warn(`[llm] no provider configured; using mock (NODE_ENV=${process.env.NODE_ENV})`);
+    return "mock";
+  }
+  throw new Error("No LLM provider configured: set OPENAI_API_KEY or AURION_LLM_BASE_URL, or AURION_LLM_PROVIDER=mock for offline use");
+}
+
+function build(name) {
+  if (name === "openai") {
+    return createOpenAIBackend({
+      name,
+      apiKey: process.env.OPENAI_API_KEY,
+      chatModel: process.env.AURION_MODEL || "gpt-4o-mini",
+      embedModel: process.env.AURION_EMBED_MODEL || "text-embedding-3-small"
+    });
+  }
+  if (name === "local") {
+    if (!process.env.AURION_LLM_BASE_URL) throw new Error("AURION_LLM_BASE_URL is required for the local provider");
+    return createOpenAIBackend({
+      name,
+      baseURL: process.env.AURION_LLM_BASE_URL,
+      apiKey: process.env.AURION_LLM_API_KEY,
+      chatModel: process.env.AURION_MODEL || "llama3.1",
+      embedModel: process.env.AURION_EMBED_MODEL || "nomic-embed-text"
+    });
+  }
+  if (name === "mock") return createMockBackend();
+  throw new Error(`Unknown AURION_LLM_PROVIDER: ${name}`);
+}
+
+let backend = null;
+function provider() {
+  if (!backend) {
+    backend = build(resolveName());
+    console.log(`[llm] provider=${backend.name} chat=${backend.chatModel} embed=${backend.embedModel}`);
+  }
+  return backend;
+}
+
+// Simple router for the hosted backend (mini by default; upgrade on hard topics).
+// Other backends serve one configured model.
+function pickModel(userMsg) {
+  const b = provider();
+  if (process.env.AURION_MODEL || b.name !== "openai") return b.chatModel;
+  const hard = [
+    /refactor|architecture|multi[- ]file|performance/i,
+    /security|auth|encryption|oauth/i,
+    /database schema|migration|indexing/i
+  ];
+  return hard.some(rx => rx.test(userMsg)) ? "gpt-4o" : "gpt-4o-mini";
+}
+
+function timeoutMs() { return Number(process.env.OPENAI_TIMEOUT_MS || 12000); }
+
+// Links an optional caller signal to a fresh controller so we can also abort on our own timers
+function linkedAbort(signal) {
+  const ctrl = new AbortController();
+  if (signal) {
+    if (signal.aborted) ctrl.abort();
+    else signal.addEventListener("abort", () => ctrl.abort(), { once: true });
+  }
+  return ctrl;
+}
+
+// Single-shot completion → string. Whole call is bounded by the timeout.
+async function chat(messages, { temperature = 0.6, max_tokens = 900, model, signal } = {}) {
+  const b = provider();
+  const useModel = model || pickModel(messages?.slice(-1)?.[0]?.content || "");
+  const ctrl = linkedAbort(signal);
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs());
+  try {
+    return await b.chat(messages, { model: useModel, temperature, max_tokens, signal: ctrl.signal });
+  } catch (e) {
+    if (ctrl.signal.aborted && !signal?.aborted) throw new Error("LLM timeout");
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Streaming completion: onToken(delta) per chunk, resolves with the full text.
+// The timeout covers the gap between tokens (not the whole reply), so long answers still finish.
+// If the caller aborts, whatever arrived so far is returned so it can still be persisted.
+async function stream(messages, { temperature = 0.6, max_tokens = 900, model, signal } = {}, onToken = () => {}) {
+  const b = provider();
+  const useModel = model || pickModel(messages?.slice(-1)?.[0]?.content || "");
+  const ctrl = linkedAbort(signal);
+  let idle = null;
+  const arm = () => { clearTimeout(idle); idle = setTimeout(() => ctrl.abort(), timeoutMs()); };
+
+  let full = "";
+  arm();
+  try {
+    await b.stream(messages, { model: useModel, temperature, max_tokens, signal: ctrl.signal }, delta => {
+      arm();
+      full += delta;
+      onToken(delta);
+    });
+  } catch (e) {
+    if (!ctrl.signal.aborted) throw e;
+    if (!signal?.aborted) throw new Error("LLM timeout");
+  } finally {
+    clearTimeout(idle);
+  }
+  return full;
+}
+
+// One assistant turn with optional tools → { content, tool_calls }.
+// Pass onToken to stream the text part (idle timeout, like stream()); otherwise bounded like chat().
+// A caller abort mid-stream resolves with the text so far and no tool calls.
+async function turn(messages, { temperature = 0.6, max_tokens = 900, model, tools, tool_choice, signal } = {}, onToken = null) {
+  const b = provider();
+  const useModel = model || pickModel(messages?.slice(-1)?.[0]?.content || "");
+  const ctrl = linkedAbort(signal);
+  let timer = null;
+  const arm = () => { clearTimeout(timer); timer = setTimeout(() => ctrl.abort(), timeoutMs()); };
+  let partial = "";
+  arm();
+  try {
+    return await b.turn(messages, { model: useModel, temperature, max_tokens, tools, tool_choice, signal: ctrl.signal },
+      onToken ? (delta => { arm(); partial += delta; onToken(delta); }) : null);
+  } catch (e) {
+    if (!ctrl.signal.aborted) throw e;
+    if (!signal?.aborted) throw new Error("LLM timeout");
+    return { content: partial, tool_calls: [] };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Embeddings → one vector per text, or null per text when the backend fails
+// (callers treat null as "skip the semantic path").
+async function embed(texts) {
+  try {
+    return await provider().embed(texts);
+  } catch {
+    return texts.map(() => null);
+  }
+}
+
+module.exports = { provider, pickModel, chat, stream, turn, embed };
@@ -0,0 +1,80 @@
+// /llm/mock.js
+// Deterministic offline backend: same input → same output, no network.
+// Chat echoes a digest of the last user turn; embeddings are hashed bag-of-words
+// vectors, so texts sharing words still land close together in cosine space.
+// Tools: a user turn of the form `/tool <name> {json args}` makes the mock call that tool,
+// and after a tool result it answers with a digest of what the tool returned.
+const crypto = require("crypto");
+
+const DIMS = 256;
+
+function digest(s) { return crypto.createHash("sha256").update(String(s)).digest("hex"); }
+
+function words(s) { return String(s || "").toLowerCase().match(/[a-z0-9]+/g) || []; }
+
+function mockReply(messages) {
+  const last = [...(messages || [])].reverse().find(m => m.role === "user");
+  const text = String(last?.content || "").replace(/\s+/g, " ").trim();
+  return `[mock ${digest(JSON.stringify(messages)).slice(0, 8)}] You said: "${text.slice(0, 200)}"`;
+}
+
+function mockTurn(messages, tools) {
+  const last = messages[messages.length - 1] || {};
+  if (last.role === "tool") {
+    const calls = [];
+    let i = messages.length - 1;
+    for (; i >= 0 && messages[i].role === "tool"; i--) calls.unshift(messages[i]);
+    const names = new Map((messages[i]?.tool_calls || []).map(c => [c.id, c.function?.name]));
+    const parts = calls.map(m => `${names.get(m.tool_call_id) || "tool"} → ${String(m.content || "").replace(/\s+/g, " ").slice(0, 160)}`);
+    return { content: `[mock] Tool results: ${parts.join(" | ")}`, tool_calls: [] };
+  }
+  const m = last.role === "user" && String(last.content || "").match(/^\/tool\s+([\w.-]+)\s*([\s\S]*)$/);
+  if (m && (tools || []).some(t => t.function?.name === m[1])) {
+    const id = "call_" + digest(JSON.stringify(messages)).slice(0, 12);
+    return { content: "", tool_calls: [{ id, type: "function", function: { name: m[1], arguments: m[2].trim() || "{}" } }] };
+  }
+  return { content: mockReply(messages), tool_calls: [] };
+}
+
+function embedOne(text) {
+  const vec = new Array(DIMS).fill(0);
+  for (const w of words(text)) {
+    const h = crypto.createHash("md5").update(w).digest();
+    const slot = h.readUInt32LE(0) % DIMS;
+    vec[slot] += (h[4] & 1) ? 1 : -1;
+  }
+  const n = Math.sqrt(vec.reduce((s, x) => s + x * x, 0)) || 1;
+  return vec.map(x => x / n);
+}
+
+function createMockBackend() {
+  async function chat(messages) { return mockReply(messages); }
+
+  async function stream(messages, { signal } = {}, onToken = () => {}) {
+    const full = mockReply(messages);
+    let out = "";
+    for (const piece of full.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) break;
+      out += piece;
+      onToken(piece);
+    }
+    return out;
+  }
+
+  async function turn(messages, { tools, tool_choice, signal } = {}, onToken = null) {
+    const out = mockTurn(messages, tool_choice === "none" ? [] : tools);
+    if (onToken && out.content) {
+      for (const piece of out.content.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) break;
+        onToken(piece);
+      }
+    }
+    return out;
+  }
+
+  async function embed(texts) { return texts.map(embedOne); }
+
+  return { name: "mock", chatModel: "mock-chat", embedModel: "mock-embed", chat, stream, turn, embed };
+}
+
+module.exports = { createMockBackend };
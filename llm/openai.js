@@ -0,0 +1,68 @@
+// /llm/openai.js
+// OpenAI backend — also serves any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp)
+// by pointing the SDK at a different baseURL.
+let OpenAI = null; try { OpenAI = require("openai"); } catch {}
+
+function createOpenAIBackend({ name = "openai", apiKey, baseURL, chatModel, embedModel }) {
+  if (!OpenAI) throw new Error("openai package not installed");
+  // The SDK refuses an empty key; local servers usually ignore it
+  const client = new OpenAI({ apiKey: apiKey || "not-needed", ...(baseURL ? { baseURL } : {}) });
+
+  async function chat(messages, { model, temperature, max_tokens, signal } = {}) {
+    const r = await client.chat.completions.create(
+      { model: model || chatModel, temperature, max_tokens, messages },
+      { signal }
+    );
+    return r.choices?.[0]?.message?.content || "";
+  }
+
+  async function stream(messages, { model, temperature, max_tokens, signal } = {}, onToken = () => {}) {
+    const s = await client.chat.completions.create(
+      { model: model || chatModel, temperature, max_tokens, messages, stream: true },
+      { signal }
+    );
+    let full = "";
+    for await (const chunk of s) {
+      const delta = chunk.choices?.[0]?.delta?.content || "";
+      if (!delta) continue;
+      full += delta;
+      onToken(delta);
+    }
+    return full;
+  }
+
+  // One assistant turn that may call tools → { content, tool_calls }.
+  // With onToken the turn is streamed (text deltas forwarded, tool-call fragments stitched by index).
+  async function turn(messages, { model, temperature, max_tokens, tools, tool_choice, signal } = {}, onToken = null) {
+    const body = { model: model || chatModel, temperature, max_tokens, messages };
+    if (tools?.length) { body.tools = tools; if (tool_choice) body.tool_choice = tool_choice; }
+    if (!onToken) {
+      const r = await client.chat.completions.create(body, { signal });
+      const m = r.choices?.[0]?.message || {};
+      return { content: m.content || "", tool_calls: m.tool_calls || [] };
+    }
+    const s = await client.chat.completions.create({ ...body, stream: true }, { signal });
+    let content = "";
+    const calls = [];
+    for await (const chunk of s) {
+      const d = chunk.choices?.[0]?.delta || {};
+      if (d.content) { content += d.content; onToken(d.content); }
+      for (const tc of d.tool_calls || []) {
+        const c = calls[tc.index] || (calls[tc.index] = { id: "", type: "function", function: { name: "", arguments: "" } });
+        if (tc.id) c.id = tc.id;
+        if (tc.function?.name) c.function.name += tc.function.name;
+        if (tc.function?.arguments) c.function.arguments += tc.function.arguments;
+      }
+    }
+    return { content, tool_calls: calls.filter(Boolean) };
+  }
+
+  async function embed(texts) {
+    const r = await client.embeddings.create({ model: embedModel, input: texts });
+    return r.data.map(d => d.embedding);
+  }
+
+  return { name, chatModel, embedModel, chat, stream, turn, embed };
+}
+
+module.exports = { createOpenAIBackend };
@@ -0,0 +1,64 @@
+// /llm/tokens.js
+// Token estimates per model family, for prompt budgeting (no tokenizer dependency).
+// Words cost ~1 token per `charsPerToken` characters, punctuation and symbols ~1 each, non-Latin
+// characters ~1 each; whitespace is folded into the next token. Estimates run slightly high on purpose.
+//
+// AURION_CONTEXT_TOKENS overrides the context window of whatever model is in use
+// (e.g. a local server started with a smaller num_ctx than the model supports).
+
+const FAMILIES = [
+  { match: /^(gpt-4o|gpt-4\.1|o[134]|chatgpt-4o)/i, window: 128000, charsPerToken: 4 },
+  { match: /^gpt-4-turbo/i, window: 128000, charsPerToken: 4 },
+  { match: /^gpt-4/i, window: 8192, charsPerToken: 4 },
+  { match: /^gpt-3\.5/i, window: 16385, charsPerToken: 4 },
+  { match: /llama-?3|qwen|mistral|mixtral|gemma|phi|deepseek/i, window: 8192, charsPerToken: 3.5 },
+  { match: /^mock/i, window: 8192, charsPerToken: 4 }
+];
+const DEFAULT = { window: 8192, charsPerToken: 3.5 };
+const MESSAGE_OVERHEAD = 4; // role + separators per chat message
+const REPLY_PRIMING = 3;
+
+function profile(model) {
+  const fam = FAMILIES.find(f => f.match.test(String(model || ""))) || DEFAULT;
+  const forced = Number(process.env.AURION_CONTEXT_TOKENS);
+  return { window: forced > 0 ? forced : fam.window, charsPerToken: fam.charsPerToken };
+}
+
+function contextWindow(model) { return profile(model).window; }
+
+function countTokens(text, model) {
+  const s = String(text ?? "");
+  if (!s) return 0;
+  const { charsPerToken } = profile(model);
+  let n = 0;
+  for (const piece of s.match(/[A-Za-z0-9_]+|[^\sA-Za-z0-9_]/g) || []) {
+    n += /^[A-Za-z0-9_]/.test(piece) ? Math.ceil(piece.length / charsPerToken) : 1;
+  }
+  return n;
+}
+
+function countMessages(messages, model) {
+  let n = REPLY_PRIMING;
+  for (const m of messages || []) {
+    n += MESSAGE_OVERHEAD + countTokens(m.content, model);
+    for (const c of m.tool_calls || []) n += countTokens(c.function?.name, model) + countTokens(c.function?.arguments, model) + 3;
+  }
+  return n;
+}
+
+// Longest prefix of `text` (cut at a word boundary when possible) that fits in `tokens`
+function truncateToTokens(text, tokens, model) {
+  const s = String(text ?? "");
+  if (countTokens(s, model) <= tokens) return s;
+  if (tokens <= 0) return "";
+  let lo = 0, hi = s.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (countTokens(s.slice(0, mid), model) <= tokens) lo = mid; else hi = mid - 1;
+  }
+  const cut = s.slice(0, lo);
+  const space = cut.lastIndexOf(" ");
+  return space > lo * 0.8 ? cut.slice(0, space) : cut;
+}
+
+module.exports = { contextWindow, countTokens, countMessages, truncateToTokens };
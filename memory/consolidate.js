@@ -0,0 +1,159 @@
+// /memory/consolidate.js
+// Consolidation pass: old chat lines become lasting facts, and low-value memories fade out of recall.
+//   1. Scores: entries without an importance get the heuristic score (llm/importance.js); with
+//      AURION_IMPORTANCE_SCORER=llm up to RESCORE_MAX heuristic scores per pass, newest first, are redone by the model.
+//   2. Facts: per conversation, the episodic lines older than MIN_AGE_HOURS that no pass has seen yet are folded
+//      into facts by one LLM call (once GROUP_MIN have piled up, or whatever is there after STALE_DAYS):
+//      decisions, preferences and stable facts about the user. A fact is a memory of its own (bucket "facts",
+//      tags fact + consolidated, `sources` = the lines it came from). One that repeats a known fact of the same
+//      user (word-set Jaccard ≥ SAME_FACT) adds its sources to that fact instead. The lines get consolidatedAt
+//      (+ consolidatedInto), and lines that produced facts keep half their importance — the fact carries it now.
+//   3. Decay: memories whose retention (episodic.js) fell under AURION_MEMORY_DECAY_BELOW get decayedAt and
+//      leave recall (index.js drops their vectors), once they are AURION_MEMORY_DECAY_MIN_DAYS old — chatter
+//      starts at the threshold, so without the minimum age it would go on the first pass. They stay in
+//      memories.jsonl, browsable and searchable; pinning one brings it back.
+// Everything is written in one rewrite at the end, so the pass never races the chat path's appends.
+// index.js runs it on a timer and from POST /aurion/memories/consolidate.
+const llm = require("../llm");
+const { SCORER, heuristicImportance, scoreImportance } = require("../llm/importance");
+const { loadMemories, appendMemory, patchMemories, retention } = require("./episodic");
+const { tokenize } = require("./fulltext");
+
+const DECAY_BELOW = Number(process.env.AURION_MEMORY_DECAY_BELOW || 0.05);
+const DECAY_MIN_DAYS = Number(process.env.AURION_MEMORY_DECAY_MIN_DAYS || 3);
+const MIN_AGE_HOURS = 6;   // newer lines are still covered by the window and the conversation summary
+const GROUP_MIN = 6;
+const STALE_DAYS = 7;
+const MAX_GROUP = 40;      // lines per LLM call
+const LINE_CHARS = 400;    // per line in the prompt
+const MAX_FACTS = 12;      // per call
+const RESCORE_MAX = 50;
+const SAME_FACT = 0.6;
+const FACT_TOKENS = 400;
+const HOUR = 3_600_000;
+
+const round = (n) => Math.round(n * 100) / 100;
+const isFact = (m) => (m.tags || []).includes("fact");
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// Lines → fact sentences ("- …" bullets; anything else in the answer is ignored)
+async function factsFrom(user, lines) {
+  const sys = "You turn chat history into lasting facts for long-term memory. Keep decisions (with why), " +
+    "preferences, and stable facts about the user, their projects and the people they mention. Drop small talk, " +
+    "answered questions and file contents. Write one fact per line starting with \"- \", about the user by name. " +
+    "Write NONE if nothing is worth keeping.";
+  const text = lines.map(m => `[${m.ts.slice(0, 10)}] ${String(m.content || "").replace(/\s+/g, " ").slice(0, LINE_CHARS)}`).join("\n");
+  const out = await llm.chat(
+    [{ role: "system", content: sys }, { role: "user", content: `User: ${user}\n\n${text}\n\nWrite the facts.` }],
+    { model: llm.provider().chatModel, temperature: 0.2, max_tokens: FACT_TOKENS }
+  );
+  return String(out || "").split("\n")
+    .map(l => /^\s*[-*•]\s+(.+)$/.exec(l)?.[1]?.trim())
+    .filter(t => t && t.length >= 8)
+    .slice(0, MAX_FACTS);
+}
+
+async function pass({ user, dryRun }) {
+  const now = Date.now();
+  const at = new Date(now).toISOString();
+  const rows = loadMemories().filter(m => user == null || m.user === user);
+  const patches = new Map();
+  const set = (m, fields) => { Object.assign(m, fields); patches.set(m.id, { ...patches.get(m.id), ...fields }); };
+  const report = { scored: 0, rescored: 0, groups: 0, consolidated: 0, merged: 0, facts: [], decayed: [], errors: [] };
+
+  // 1. Scores
+  for (const m of rows) {
+    if (typeof m.importance === "number") continue;
+    const s = heuristicImportance(m.content, m.tags || []);
+    set(m, { importance: s.importance, scoredBy: s.by });
+    report.scored++;
+  }
+  if (SCORER === "llm") {
+    for (const m of rows.filter(x => x.scoredBy === "heuristic" && !x.decayedAt && !isFact(x)).slice(-RESCORE_MAX)) {
+      const s = await scoreImportance(m.content, m.tags || []);
+      if (s.by !== "llm") continue;
+      set(m, { importance: s.importance, scoredBy: s.by });
+      report.rescored++;
+    }
+  }
+
+  // 2. Facts
+  const facts = rows.filter(m => isFact(m) && !m.decayedAt);
+  const words = new Map(); // fact id → token set
+  const wordsOf = (f) => words.get(f.id) || words.set(f.id, new Set(tokenize(f.content))).get(f.id);
+  const groups = new Map();
+  for (const m of rows) {
+    if (m.pinned || isFact(m) || m.decayedAt || m.consolidatedAt || m.user == null) continue;
+    if ((m.bucket || "episodic") !== "episodic" || now - Date.parse(m.ts) < MIN_AGE_HOURS * HOUR) continue;
+    const key = m.convId || m.user;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  }
+  for (const group of groups.values()) {
+    const newest = Date.parse(group[group.length - 1].ts);
+    if (group.length < GROUP_MIN && now - newest < STALE_DAYS * 24 * HOUR) continue;
+    for (let i = 0; i < group.length; i += MAX_GROUP) {
+      const chunk = group.slice(i, i + MAX_GROUP);
+      const owner = chunk[0].user;
+      const sources = chunk.map(m => m.id);
+      report.groups++;
+      let found;
+      try { found = await factsFrom(owner, chunk); }
+      catch (e) { report.errors.push(`${chunk[0].convId || owner}: ${e.message}`); continue; } // retried next pass
+
+      const into = new Set();
+      for (const text of found) {
+        const w = new Set(tokenize(text));
+        const twin = facts.find(f => f.user === owner && jaccard(wordsOf(f), w) >= SAME_FACT);
+        if (twin) {
+          set(twin, { sources: [...new Set([...(twin.sources || []), ...sources])] });
+          into.add(twin.id);
+          report.merged++;
+          continue;
+        }
+        const s = heuristicImportance(text, ["fact"]);
+        const fact = { content: text, tags: ["fact", "consolidated"], user: owner, convId: null, bucket: "facts", importance: s.importance, scoredBy: s.by, sources };
+        const entry = dryRun ? { id: null, ts: at, ...fact } : appendMemory(fact);
+        words.set(entry.id, w);
+        facts.push(entry);
+        if (entry.id) into.add(entry.id);
+        report.facts.push(entry);
+      }
+      for (const m of chunk) {
+        set(m, found.length
+          ? { consolidatedAt: at, consolidatedInto: [...into], importance: round((m.importance ?? 0.5) / 2) }
+          : { consolidatedAt: at });
+      }
+      report.consolidated += chunk.length;
+    }
+  }
+
+  // 3. Decay
+  for (const m of rows) {
+    if (m.decayedAt || m.pinned || !(now - Date.parse(m.ts) >= DECAY_MIN_DAYS * 24 * HOUR)) continue;
+    if (retention(m, now) >= DECAY_BELOW) continue;
+    set(m, { decayedAt: at });
+    report.decayed.push(m.id);
+  }
+
+  if (!dryRun) patchMemories(patches);
+  return report;
+}
+
+// user: only that user's memories · dryRun: report what would change, write nothing
+// → { scored, rescored, groups, consolidated, merged, facts: [entries], decayed: [ids], errors }, or null when a
+//   pass is already running
+let running = false;
+async function consolidate({ user = null, dryRun = false } = {}) {
+  if (running) return null;
+  running = true;
+  try { return await pass({ user, dryRun }); } finally { running = false; }
+}
+
+module.exports = { DECAY_BELOW, consolidate };
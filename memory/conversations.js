@@ -0,0 +1,64 @@
+// /memory/conversations.js
+// Conversation threads: one user can keep many, each with its own window, history and recall scope.
+const crypto = require("crypto");
+const { readJSON, writeJSON } = require("./store");
+
+const CONV_FILE = "conversations.json";
+// shape: { items: [{ id, user, title, createdAt, updatedAt, archived }] }
+function load() { return readJSON(CONV_FILE, { items: [] }); }
+function save(c) { writeJSON(CONV_FILE, c); }
+
+function titleFrom(text) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  return t ? (t.length > 60 ? t.slice(0, 57) + "…" : t) : "New conversation";
+}
+
+function createConversation({ user, title, id }) {
+  const c = load();
+  const now = new Date().toISOString();
+  const conv = {
+    id: id || "c_" + crypto.randomBytes(8).toString("hex"),
+    user: String(user || "anon"),
+    title: titleFrom(title),
+    createdAt: now,
+    updatedAt: now,
+    archived: false
+  };
+  c.items.push(conv);
+  save(c);
+  return conv;
+}
+
+function getConversation(id) {
+  return load().items.find(x => x.id === id) || null;
+}
+
+// archived: false (default) → active only, true → archived only, "all" → both
+function listConversations({ user, archived = false } = {}) {
+  return load().items
+    .filter(x => (user == null || x.user === user) && (archived === "all" || x.archived === archived))
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+}
+
+function updateConversation(id, patch) {
+  const c = load();
+  const conv = c.items.find(x => x.id === id);
+  if (!conv) return null;
+  Object.assign(conv, patch, { updatedAt: new Date().toISOString() });
+  save(c);
+  return conv;
+}
+
+function renameConversation(id, title) { return updateConversation(id, { title: titleFrom(title) }); }
+function archiveConversation(id, archived = true) { return updateConversation(id, { archived: !!archived }); }
+function touchConversation(id) { return updateConversation(id, {}); }
+
+module.exports = {
+  CONV_FILE,
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  archiveConversation,
+  touchConversation
+};
@@ -1,14 +1,11 @@
 // /memory/embeddings.js
-const OpenAI = require("openai");
-const client = new OpenAI();
+const llm = require("../llm");
 
 async function embed(texts) {
-  // Batches are fine; one call here
-  const res = await client.embeddings.create({
-    model: "text-embedding-3-small",
-    input: texts
-  });
-  return res.data.map(d => d.embedding);
+  // Batches are fine; one call here. Provider yields null per text on failure.
+  const vecs = await llm.embed(texts);
+  if (vecs.some(v => !v)) throw new Error("embeddings unavailable");
+  return vecs;
 }
 
 function cosine(a, b) {
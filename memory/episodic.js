@@ -0,0 +1,132 @@
+// /memory/episodic.js
+// Episodic log: every chat line, reply and system event worth remembering. New entries are appended;
+// edits and deletes (memory management API) and consolidation passes rewrite the log.
+// Importance (0–1, llm/importance.js) fades with age — the more important, the slower: the half-life is
+// AURION_MEMORY_HALF_LIFE_DAYS (14) / (1 - importance), so 0.9 lasts ten times longer than 0.
+// Pinned memories and consolidated facts don't fade.
+const crypto = require("crypto");
+const { readJSONL, writeJSONL, appendJSONL } = require("./store");
+const fulltext = require("./fulltext");
+
+const MEM_FILE = "memories.jsonl";
+// shape per line: { id, ts, content, tags, user, convId, bucket, importance, scoredBy, pinned?, editedAt?,
+//                   sources? (facts: the memories they came from), consolidatedAt?, consolidatedInto?, decayedAt? }
+const HALF_LIFE_DAYS = Number(process.env.AURION_MEMORY_HALF_LIFE_DAYS || 14);
+
+function newId() { return crypto.randomBytes(6).toString("hex"); }
+
+function appendMemory({ content, tags = [], user = null, convId = null, bucket = "episodic", ts, importance = null, scoredBy = null, sources }) {
+  const entry = {
+    id: newId(),
+    ts: ts || new Date().toISOString(),
+    content: String(content || ""),
+    tags,
+    user,
+    convId,
+    bucket,
+    importance,
+    scoredBy,
+    ...(sources ? { sources } : {})
+  };
+  appendJSONL(MEM_FILE, entry);
+  fulltext.addMemory(entry);
+  return entry;
+}
+
+function loadMemories() { return readJSONL(MEM_FILE); }
+
+function getMemory(id) { return loadMemories().find(m => m.id === id) || null; }
+
+// patch: { content?, tags?, bucket?, pinned?, importance? } → { before, after }, or null if the id is unknown.
+// Pinning brings a decayed memory back into recall.
+function updateMemory(id, patch) {
+  const rows = loadMemories();
+  const i = rows.findIndex(m => m.id === id);
+  if (i < 0) return null;
+  const before = rows[i];
+  const after = { ...before, editedAt: new Date().toISOString() };
+  if (patch.content != null) after.content = String(patch.content);
+  if (patch.tags != null) after.tags = patch.tags.map(String);
+  if (patch.bucket != null) after.bucket = String(patch.bucket);
+  if (patch.pinned != null) after.pinned = !!patch.pinned;
+  if (after.pinned) delete after.decayedAt;
+  if (patch.importance != null) { after.importance = patch.importance; after.scoredBy = "manual"; }
+  rows[i] = after;
+  writeJSONL(MEM_FILE, rows);
+  fulltext.addMemory(after);
+  return { before, after };
+}
+
+// Bookkeeping fields set by the system (scores, consolidation, decay) → number of rows changed.
+// Not an edit: editedAt stays as it is. patches: Map<id, fields>
+function patchMemories(patches) {
+  if (!patches.size) return 0;
+  let n = 0;
+  const rows = loadMemories().map(m => {
+    const p = patches.get(m.id);
+    if (!p) return m;
+    n++;
+    const next = { ...m, ...p };
+    fulltext.addMemory(next);
+    return next;
+  });
+  if (n) writeJSONL(MEM_FILE, rows);
+  return n;
+}
+
+// Importance left after decay, 0–1 (unscored entries count as 0.5)
+function retention(m, now = Date.now()) {
+  if (m.pinned) return 1;
+  const importance = typeof m.importance === "number" ? m.importance : 0.5;
+  if ((m.tags || []).includes("fact")) return importance;
+  const days = (now - Date.parse(m.ts)) / 86_400_000;
+  if (!Number.isFinite(days)) return importance;
+  return importance * Math.pow(0.5, Math.max(0, days) * Math.max(0.05, 1 - importance) / HALF_LIFE_DAYS);
+}
+
+// → the removed entries
+function deleteMemories(ids) {
+  const drop = new Set(ids);
+  const rows = loadMemories();
+  const removed = rows.filter(m => drop.has(m.id));
+  if (removed.length) writeJSONL(MEM_FILE, rows.filter(m => !drop.has(m.id)));
+  fulltext.removeMemories(removed.map(m => m.id));
+  return removed;
+}
+
+// Filters for the memory browser; from/to are ISO dates (to is inclusive), q is a case-insensitive substring.
+// Newest first → { total, items }
+function queryMemories({ user, tag, bucket, convId, from, to, pinned, decayed, q, offset = 0, limit = 50 } = {}) {
+  const needle = q ? String(q).toLowerCase() : null;
+  const until = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? to + "T23:59:59.999Z" : to;
+  const hits = loadMemories().filter(m =>
+    (user == null || m.user === user) &&
+    (tag == null || (m.tags || []).includes(tag)) &&
+    (bucket == null || (m.bucket || "episodic") === bucket) &&
+    (convId == null || m.convId === convId) &&
+    (from == null || m.ts >= from) &&
+    (until == null || m.ts <= until) &&
+    (pinned == null || !!m.pinned === pinned) &&
+    (decayed == null || !!m.decayedAt === decayed) &&
+    (!needle || String(m.content || "").toLowerCase().includes(needle))
+  ).reverse();
+  return { total: hits.length, items: hits.slice(offset, offset + limit) };
+}
+
+// Lexical + recency ranking: BM25 from the full-text index (scaled so the best match scores 3) plus recency.
+// Reads no files; `lexical` is the raw BM25 score.
+function recallKeywordRecency(query, { limit = 6, filter = null } = {}) {
+  const now = Date.now();
+  const scored = fulltext.scoreMemories(query, filter);
+  const top = scored.reduce((mx, x) => Math.max(mx, x.bm25), 0) || 1;
+  return scored.map(({ m, bm25 }) => {
+    const ageHours = Math.max(1, (now - Date.parse(m.ts)) / 3_600_000);
+    const timeScore = m.pinned ? 1 : 1 / Math.sqrt(ageHours); // pinned memories don't fade
+    return { m, lexical: bm25, score: 3 * bm25 / top + timeScore };
+  }).sort((a, b) => b.score - a.score).slice(0, limit).map(x => ({ ...x.m, lexical: x.lexical }));
+}
+
+module.exports = {
+  MEM_FILE, HALF_LIFE_DAYS, newId, appendMemory, loadMemories, getMemory, updateMemory, patchMemories, retention,
+  deleteMemories, queryMemories, recallKeywordRecency
+};
@@ -0,0 +1,154 @@
+// /memory/fulltext.js
+// In-memory inverted index over memories.jsonl and transcripts.jsonl, ranked with BM25 (k1 1.2, b 0.75).
+//   - Built from both files on first use; after that every append, edit and delete updates it in place
+//     (episodic.js for memories, index.js `indexTranscript` for transcript rows), so queries never re-read disk.
+//   - Whole-file rewrites (erasure) call reset(); the next query rebuilds.
+//   - Docs: { key, source: "memory"|"transcript", id, ts (ISO), user, role, tags, convId, text, row }
+//     Memory roles come from their tags ("chat" → user, "response" → assistant).
+const { readJSONL } = require("./store");
+
+const MEM_FILE = "memories.jsonl"; // same files as episodic.js / server.js
+const TX_FILE = "transcripts.jsonl";
+const K1 = 1.2;
+const B = 0.75;
+const STOPWORDS = new Set(("a an and are as at be but by do does for from had has have how i if in into is it its me my " +
+  "of on or our so than that the their them then there these they this to was we were what when where which who why " +
+  "will with you your").split(" "));
+
+let docs = null;      // Map<key, doc>
+let postings = null;  // Map<term, Map<key, tf>>
+let lengths = null;   // Map<key, number of terms>
+let totalLength = 0;
+let txSeq = 0;
+
+// Lowercase words and numbers (any script), stopwords out, a trailing plural "s" folded ("plans" → "plan")
+function tokenize(text) {
+  const out = [];
+  for (const w of String(text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []) {
+    if (STOPWORDS.has(w)) continue;
+    out.push(w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w);
+  }
+  return out;
+}
+
+function put(doc) {
+  if (docs.has(doc.key)) drop(doc.key);
+  const terms = tokenize(doc.text);
+  const tf = new Map();
+  for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+  for (const [t, n] of tf) {
+    if (!postings.has(t)) postings.set(t, new Map());
+    postings.get(t).set(doc.key, n);
+  }
+  docs.set(doc.key, doc);
+  lengths.set(doc.key, terms.length);
+  totalLength += terms.length;
+}
+
+function drop(key) {
+  const doc = docs.get(key);
+  if (!doc) return;
+  for (const t of new Set(tokenize(doc.text))) {
+    const p = postings.get(t);
+    if (!p) continue;
+    p.delete(key);
+    if (!p.size) postings.delete(t);
+  }
+  totalLength -= lengths.get(key) || 0;
+  lengths.delete(key);
+  docs.delete(key);
+}
+
+const memoryRole = (tags = []) => (tags.includes("chat") ? "user" : tags.includes("response") ? "assistant" : null);
+const memoryDoc = (m) => ({
+  key: "m:" + m.id, source: "memory", id: m.id, ts: m.ts, user: m.user ?? null, role: memoryRole(m.tags),
+  tags: m.tags || [], convId: m.convId ?? null, text: String(m.content || ""), row: m
+});
+const iso = (t) => { const d = new Date(t); return isNaN(d) ? "" : d.toISOString(); };
+// Transcript rows have no id; they are numbered in file order
+const transcriptDoc = (r) => ({
+  key: "t:" + txSeq, source: "transcript", id: "t" + txSeq++, ts: iso(r.ts), user: r.user ?? null,
+  role: r.role ?? null, tags: [], convId: r.conv_id || r.user || null, text: String(r.content || ""), row: r
+});
+
+function open() {
+  if (docs) return;
+  docs = new Map(); postings = new Map(); lengths = new Map(); totalLength = 0; txSeq = 0;
+  for (const m of readJSONL(MEM_FILE)) put(memoryDoc(m));
+  for (const r of readJSONL(TX_FILE)) put(transcriptDoc(r));
+}
+
+////////////
+// Public //
+////////////
+function addMemory(m) { if (docs) put(memoryDoc(m)); }           // not built yet → the rebuild reads it from disk
+function removeMemories(ids) { if (docs) ids.forEach(id => drop("m:" + id)); }
+function addTranscript(r) { if (docs) put(transcriptDoc(r)); }
+function reset() { docs = postings = lengths = null; }
+
+// BM25 per matching doc → Map<key, score>
+function scores(query, pass) {
+  open();
+  const terms = [...new Set(tokenize(query))];
+  const out = new Map();
+  if (!terms.length || !docs.size) return out;
+  const N = docs.size;
+  const avgdl = totalLength / N || 1;
+  for (const t of terms) {
+    const p = postings.get(t);
+    if (!p) continue;
+    const idf = Math.log(1 + (N - p.size + 0.5) / (p.size + 0.5));
+    for (const [key, tf] of p) {
+      const doc = docs.get(key);
+      if (pass && !pass(doc)) continue;
+      const norm = tf + K1 * (1 - B + B * (lengths.get(key) / avgdl));
+      out.set(key, (out.get(key) || 0) + idf * (tf * (K1 + 1)) / norm);
+    }
+  }
+  return out;
+}
+
+// from/to: ISO dates or timestamps (a bare date in `to` covers that whole day)
+function matches({ source, user, role, tag, convId, from, to } = {}) {
+  const until = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? to + "T23:59:59.999Z" : to;
+  return (d) =>
+    (source == null || d.source === source) &&
+    (user == null || d.user === user) &&
+    (role == null || d.role === role) &&
+    (tag == null || d.tags.includes(tag)) &&
+    (convId == null || d.convId === convId) &&
+    (from == null || d.ts >= from) &&
+    (until == null || d.ts <= until);
+}
+
+// → { total, items: [{ source, id, ts, user, role, tags, convId, text, score }] }, best first
+function search(query, { limit = 20, offset = 0, ...filters } = {}) {
+  const hits = [...scores(query, matches(filters))].sort((a, b) => b[1] - a[1]);
+  return {
+    total: hits.length,
+    items: hits.slice(offset, offset + limit).map(([key, score]) => {
+      const { row, key: _k, ...doc } = docs.get(key);
+      return { ...doc, score };
+    })
+  };
+}
+
+// The memories.jsonl row for an id, from the index (no store read) — recall looks up importance and decay here
+function memoryRow(id) {
+  open();
+  return docs.get("m:" + id)?.row || null;
+}
+
+// Every indexed memory with its BM25 score for `query` (0 when it doesn't match) — for recall, which also
+// ranks non-matching memories by recency → [{ m, bm25 }]
+function scoreMemories(query, filter = null) {
+  const s = scores(query, d => d.source === "memory");
+  const out = [];
+  for (const d of docs.values()) {
+    if (d.source !== "memory" || (filter && !filter(d.row))) continue;
+    out.push({ m: d.row, bm25: s.get(d.key) || 0 });
+  }
+  return out;
+}
+
+module.exports = { tokenize, addMemory, removeMemories, addTranscript, reset, search, scoreMemories, memoryRow };
@@ -1,21 +1,86 @@
 // /memory/index.js
+// The memory engine — the single entry point chatHandler (and everything else) uses.
+//   Window       → last turns per conversation (state.js)
+//   Active state → pending_action / current_task / persona flags (state.js)
+//   Episodic     → append-only log of chat lines + events (episodic.js)
+//   Semantic     → embeddings per bucket (semantic.js); intent picks buckets (policy.js)
+//   Summaries    → rolling notes per conversation and per user, replacing old turns (summarizer.js)
+//   Full text    → BM25 inverted index over memories and transcripts (fulltext.js)
+//   Threads      → conversation objects per user (conversations.js); convId scopes window + recall
+//   Importance   → every memory is scored on write (llm/importance.js) and fades with age (episodic.js);
+//                  a periodic pass folds old lines into per-user facts and retires faded ones (consolidate.js)
+//   Profile      → structured (subject, predicate, object) facts per user, pulled from each turn (profile.js)
 const { load, save, getConv, pushWindow } = require("./state");
-const { addToVectors, searchVectors } = require("./semantic");
-const { bucketsForIntent } = require("./policy");
-const { summarizeTurn } = require("./summarizer");
+const { addToVectors, removeVectors, relabelVector, searchVectors } = require("./semantic");
+const {
+  appendMemory, loadMemories, getMemory, updateMemory, deleteMemories, queryMemories, recallKeywordRecency, retention
+} = require("./episodic");
+const { heuristicImportance } = require("../llm/importance");
+const { consolidate } = require("./consolidate");
+const profile = require("./profile");
+const { bucketsForIntent, classifyIntent } = require("./policy");
+const summarizer = require("./summarizer");
+const { runMigrations } = require("./migrate");
+const conversations = require("./conversations");
+const { exportUser, eraseUser, erasureLog } = require("./userdata");
+const fulltext = require("./fulltext");
+const { tokenize } = fulltext;
+const { fuse, dedupe, parseWeights } = require("./rank");
 
-async function recordUser({ convId, text }) {
+// Summaries are also caught up on a timer, for conversations that stopped mid-batch (0 disables)
+const SUMMARY_INTERVAL_MS = Number(process.env.AURION_SUMMARY_INTERVAL_MS ?? 10 * 60_000);
+let summaryTimer = null;
+// Consolidation + decay pass (0 disables; POST /aurion/memories/consolidate runs it on demand)
+const CONSOLIDATE_INTERVAL_MS = Number(process.env.AURION_CONSOLIDATE_INTERVAL_MS ?? 60 * 60_000);
+let consolidateTimer = null;
+
+function init() {
+  try { runMigrations(); }
+  catch (e) { console.error("[memory] migration failed:", e.message); }
+  if (SUMMARY_INTERVAL_MS > 0 && !summaryTimer) {
+    summaryTimer = setInterval(() => {
+      summarizer.sweep().catch(e => console.error("[summaries] sweep failed:", e.message));
+    }, SUMMARY_INTERVAL_MS);
+    summaryTimer.unref();
+  }
+  if (CONSOLIDATE_INTERVAL_MS > 0 && !consolidateTimer) {
+    consolidateTimer = setInterval(() => {
+      consolidateMemories().catch(e => console.error("[memory] consolidation failed:", e.message));
+    }, CONSOLIDATE_INTERVAL_MS);
+    consolidateTimer.unref();
+  }
+}
+
+const vectorMeta = (m) => ({ ts: m.ts, tags: m.tags, user: m.user, convId: m.convId, ...(m.pinned ? { pinned: true } : {}) });
+const indexEntry = (m) => addToVectors({ id: m.id, bucket: m.bucket || "episodic", text: m.content, meta: vectorMeta(m) });
+
+// Store one memory and index it for semantic recall (best-effort, never throws).
+// Scored with the heuristic right away; an LLM scorer re-scores it in the next consolidation pass.
+function storeMemory(content, { tags = [], user = null, convId = null, bucket = "episodic" } = {}) {
+  const { importance, by } = heuristicImportance(content, tags);
+  const entry = appendMemory({ content, tags, user, convId, bucket, importance, scoredBy: by });
+  indexEntry(entry).catch(() => {});
+  return entry;
+}
+
+// ts: the transcript row's ts (keeps window turns and summaries aligned)
+async function recordUser({ convId, user, text, ts }) {
   const state = load();
   const conv = getConv(state, convId);
-  pushWindow(conv, "user", text);
+  pushWindow(conv, "user", text, ts);
   save(state);
+  return storeMemory(`User ${user}: ${text}`, { tags: ["chat"], user, convId });
 }
 
-async function recordAssistant({ convId, text }) {
+// `remember` overrides what goes into long-term memory (e.g. a note instead of a whole file dump);
+// pass false to keep the turn out of memory entirely.
+async function recordAssistant({ convId, user, text, remember, tags = ["response"], ts }) {
   const state = load();
   const conv = getConv(state, convId);
-  pushWindow(conv, "assistant", text);
+  pushWindow(conv, "assistant", text, ts);
   save(state);
+  if (remember === false) return null;
+  return storeMemory(remember || `Aurion: ${text}`, { tags, user, convId });
 }
 
 function setActiveState({ convId, patch }) {
@@ -42,56 +107,184 @@ function getWindow({ convId }) {
   return getConv(state, convId).window;
 }
 
-async function retrieveContext({ convId, userQuery, intent = "general", k = 5 }) {
-  // Hard preference order: Active State → Window → Summaries (RAG)
+// Hybrid recall: semantic (episodic + intent buckets) and lexical/recency candidates, fused into one ranking
+// (rank.js: rrf or weighted, with recency, importance, pinned and tag signals) and de-duplicated by similarity.
+// With convId, episodic memories are limited to that conversation; shared buckets
+// (decisions, goals) stay visible everywhere, and so do pinned memories. With user, facts are
+// limited to that user's. Summary notes are private, pinned or not: with user or convId, only that user's notes
+// and the conversation's own note are visible. Decayed memories are left out; the rest carry their retention as the
+// importance signal.
+// Options: mode / weights override AURION_RECALL_FUSION / AURION_RECALL_WEIGHTS; tags are the wanted tags
+// (default: tags named in the query); exclude: ids never returned (e.g. the message being answered).
+// Every hit carries `explain` (why it was chosen).
+async function recallHybrid(query, { limit = 6, buckets = ["episodic"], convId = null, user = null, mode, weights, tags, exclude = [] } = {}) {
+  const ownNote = (cid, owner) => (!user && !convId) || (user != null && owner === user) || (convId != null && cid === convId);
+  const inScope = (bucket, cid, pinned, owner) => bucket === "summaries" ? ownNote(cid, owner) : pinned ||
+    (bucket === "facts" ? !user || owner === user : !convId || bucket !== "episodic" || cid === convId);
+  const pool = Math.max(limit * 4, 20);
+  const byId = new Map();
+  const add = (c) => byId.set(c.id, { ...byId.get(c.id), ...c });
+  try {
+    for (const r of await searchVectors({ query, buckets, k: pool, filter: i => inScope(i.bucket, i.meta?.convId, i.meta?.pinned, i.meta?.user) })) {
+      add({ id: r.id, text: r.text, ts: r.meta?.ts, bucket: r.bucket, pinned: !!r.meta?.pinned, tags: r.meta?.tags || [], semantic: r.score });
+    }
+  } catch {
+    // no embeddings available → lexical and recency signals only
+  }
+  for (const m of recallKeywordRecency(query, { limit: pool, filter: m => !m.decayedAt && inScope(m.bucket || "episodic", m.convId, m.pinned, m.user) })) {
+    const c = { id: m.id, text: m.content, ts: m.ts, bucket: m.bucket || "episodic", pinned: !!m.pinned, tags: m.tags || [] };
+    if (m.lexical > 0) c.lexical = m.lexical;
+    add(c);
+  }
+  for (const id of exclude) byId.delete(id);
+  const now = Date.now();
+  for (const [id, c] of byId) {
+    const row = fulltext.memoryRow(id); // summary notes have none
+    if (row?.decayedAt) byId.delete(id);
+    else if (row) c.retention = retention(row, now);
+  }
+  const queryWords = new Set(tokenize(query));
+  const wanted = tags || [...new Set([...byId.values()].flatMap(c => c.tags))].filter(t => queryWords.has(tokenize(t)[0]));
+  const ranked = fuse([...byId.values()], { mode, weights, tags: wanted });
+  return dedupe(ranked, { limit });
+}
+
+// `window` holds only the turns the conversation summary doesn't cover yet; `summary` stands in for the rest.
+// exclude: memory ids to leave out of recall (chatHandler passes the entry recordUser just stored)
+async function retrieveContext({ convId, userQuery, intent, k = 6, exclude = [] }) {
+  // Hard preference order: Active State → Window → Retrieval (RAG)
+  const useIntent = intent || classifyIntent(userQuery);
   const active = getActiveState({ convId });
-  const window = getWindow({ convId });
+  const note = summarizer.getSummaries({ convId }).conversation;
+  const user = conversations.getConversation(convId)?.user || null;
+  const window = getWindow({ convId }).filter(t => !note || t.ts > note.coveredTs);
+  const related = await recallHybrid(userQuery, {
+    limit: k,
+    convId,
+    user,
+    exclude: [...exclude, `sum_c_${convId}`], // the note is already in the prompt as `summary`
+    buckets: ["episodic", "facts", ...bucketsForIntent(useIntent)]
+  });
+  return { intent: useIntent, active, window, summary: note?.text || null, related };
+}
 
-  // Build context packets; always available pieces first
-  const packets = [];
-  packets.push({ kind: "active_state", text: JSON.stringify(active) });
-  packets.push({ kind: "window", text: window.map(m => `${m.role}: ${m.content}`).join("\n") });
+async function indexDecision({ bucket, text, meta = {} }) {
+  return storeMemory(text, { tags: ["decision"], bucket, user: meta.user || null, convId: meta.convId || null });
+}
 
-  // Targeted RAG
-  try {
-    const buckets = bucketsForIntent(intent);
-    const rag = await searchVectors({ query: userQuery, buckets, k });
-    if (rag.length) {
-      packets.push({
-        kind: "retrieval",
-        text: rag.map(r => `(${r.bucket} • ${r.score.toFixed(2)}) ${r.text}`).join("\n---\n")
-      });
-    }
-  } catch (e) {
-    // swallow RAG errors → stability first
+///////////////////////
+// Memory management //
+///////////////////////
+// memories.jsonl is the source of truth; every change is mirrored into the vector index.
+// → { entry, indexed } (indexed: false when the new text couldn't be embedded; the stale vector is dropped)
+async function editMemory(id, patch) {
+  const res = updateMemory(id, patch);
+  if (!res) return null;
+  const { before, after } = res;
+  let indexed = true;
+  if (after.content !== before.content) {
+    try { await indexEntry(after); }
+    catch { await removeVectors([id]); indexed = false; }
+  } else if (!(await relabelVector(id, { bucket: after.bucket || "episodic", meta: vectorMeta(after) }))) {
+    indexed = await indexEntry(after).then(() => true, () => false);
   }
+  return { entry: after, indexed };
+}
+
+function pinMemory(id, pinned = true) { return editMemory(id, { pinned }); }
 
-  return packets;
+// → the removed entries
+async function forgetMemories(ids) {
+  const removed = deleteMemories(ids);
+  await removeVectors(removed.map(m => m.id));
+  return removed;
 }
 
-async function indexDecision({ bucket, text, meta }) {
-  await addToVectors({ id: `${bucket}-${Date.now()}`, bucket, text, meta });
+// server.js appends transcript rows itself; this keeps the full-text index in step
+function indexTranscript(row) { fulltext.addTranscript(row); }
+
+// BM25 search over memories and transcripts; filters: source, user, role, tag, convId, from, to
+function searchText(query, opts = {}) { return fulltext.search(query, opts); }
+
+// Consolidation + decay (consolidate.js), then the vector index follows: new facts are embedded, decayed
+// memories leave it → the pass report, or null when one is already running
+async function consolidateMemories(opts = {}) {
+  const report = await consolidate(opts);
+  if (!report || opts.dryRun) return report;
+  for (const f of report.facts) await indexEntry(f).catch(() => {});
+  await removeVectors(report.decayed);
+  return report;
 }
 
-async function postTurn({ convId }) {
+// The turns the summarizer needs after a reply, from the window rather than a scan of the transcript log: it
+// is enough when the window turns the note doesn't cover are all the turns it doesn't cover (state.js counts
+// them). A thread from before the count is scanned once to seed it → the turns, or null (read the log)
+function unfoldedTurns(convId) {
   const state = load();
   const conv = getConv(state, convId);
-  const note = await summarizeTurn({ convId, window: conv.window, activeState: {
-    pending_action: conv.pending_action,
-    last_user_confirmation: conv.last_user_confirmation,
-    current_task: conv.current_task,
-    persona_flags: conv.persona_flags
-  }});
-  return note;
+  const note = summarizer.getSummaries({ convId }).conversation;
+  if (conv.turns == null) {
+    const all = summarizer.conversationTurns(convId);
+    conv.turns = all.length;
+    save(state);
+    return all;
+  }
+  const pending = note ? conv.window.filter(t => t.ts > note.coveredTs) : conv.window;
+  return pending.length === conv.turns - (note?.turns || 0) ? conv.window : null;
 }
 
+// After each reply: fold the conversation's older turns once a batch is due, then refresh the user note;
+// alongside, pull profile facts from the user's message (user + text + ts of the inbound line).
+// The two run independently, so one failing doesn't cost the other → { note, facts }
+async function postTurn({ convId, user = null, text = "", ts }) {
+  const [note, facts] = await Promise.all([
+    (async () => {
+      const n = await summarizer.summarizeConversation(convId, { turns: unfoldedTurns(convId), user });
+      if (n?.user) await summarizer.summarizeUser(n.user);
+      return n;
+    })().catch(e => { console.error("[summaries]", e.message); return null; }),
+    profile.extractFacts({ user, convId, text, ts }).catch(e => { console.error("[profile]", e.message); return []; })
+  ]);
+  return { note, facts };
+}
+
+function getSummaries({ convId, user } = {}) { return summarizer.getSummaries({ convId, user }); }
+function summarizeNow({ convId }) { return summarizer.summarizeConversation(convId, { force: true }); }
+function summarizeUser(user) { return summarizer.summarizeUser(user); }
+
 module.exports = {
+  ...conversations,
+  init,
+  storeMemory,
+  loadMemories,
+  getMemory,
+  listMemories: queryMemories,
+  editMemory,
+  pinMemory,
+  forgetMemories,
   recordUser,
   recordAssistant,
   setActiveState,
   getActiveState,
   getWindow,
+  recallHybrid,
+  parseRecallWeights: parseWeights,
   retrieveContext,
   indexDecision,
-  postTurn
+  indexTranscript,
+  searchText,
+  postTurn,
+  getProfile: profile.getProfile,
+  profileLines: profile.profileLines,
+  addProfileFact: profile.addFact,
+  correctProfileFact: profile.correctFact,
+  rejectProfileFact: profile.rejectFact,
+  getSummaries,
+  exportUser,
+  eraseUser,
+  erasureLog,
+  summarizeNow,
+  summarizeUser,
+  sweepSummaries: summarizer.sweep,
+  consolidateMemories
 };
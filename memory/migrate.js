@@ -0,0 +1,144 @@
+// /memory/migrate.js
+// One-time import of the pre-engine memory files into the unified engine:
+//   DATA_DIR/aurion_memory.jsonl   (server.js keyword memory)   → memories.jsonl
+//   DATA_DIR/aurion_vectors.json   (server.js semantic memory)  → vector store (bucket "episodic")
+//   ./data/{state,vectors,summaries}.json (old memory/ modules)  → their engine stores
+//   transcripts.jsonl (storage)    → seeds each user's conversation window
+// Then (conversations-v1) every pre-thread conversation — keyed by user name — is registered as a
+// conversation object with id = user name, so old windows, memories and transcripts stay reachable.
+// Legacy files are left untouched; markers in migrations.json keep each step from running twice.
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, LEGACY_DIR, readJSON, writeJSON, readJSONL, appendJSONL } = require("./store");
+const { MEM_FILE, newId } = require("./episodic");
+const { importVectors } = require("./semantic");
+const { STATE_FILE, WINDOW_TURNS, getConv, pushWindow } = require("./state");
+const { SUM_FILE } = require("./summarizer");
+const { getConversation, createConversation } = require("./conversations");
+
+const MARKER_FILE = "migrations.json";
+
+// "User steve: hi" → "steve" (legacy entries carried the user only inside the text)
+function userFromContent(content) {
+  const m = String(content || "").match(/^User ([^:]{1,64}): /);
+  return m ? m[1] : null;
+}
+
+function importMemories(report) {
+  const legacy = readJSONL(path.join(DATA_DIR, "aurion_memory.jsonl"));
+  const rows = legacy.map(m => ({
+    id: newId(),
+    ts: m.timestamp || new Date().toISOString(),
+    content: String(m.content || ""),
+    tags: Array.isArray(m.tags) ? m.tags : [],
+    user: userFromContent(m.content),
+    convId: userFromContent(m.content),
+    bucket: "episodic"
+  }));
+  appendJSONL(MEM_FILE, rows);
+  report.memories = rows.length;
+  return rows;
+}
+
+function importServerVectors(memRows, report) {
+  const legacy = readJSON(path.join(DATA_DIR, "aurion_vectors.json"), { items: [] });
+  // link each vector to its imported memory row (same text + timestamp) so ids line up
+  const byKey = new Map(memRows.map(r => [`${r.ts}\u0000${r.content}`, r]));
+  const items = (legacy.items || []).map(it => {
+    const row = byKey.get(`${it.ts}\u0000${it.text}`);
+    return {
+      id: row ? row.id : (it.id || newId()),
+      bucket: "episodic",
+      text: it.text,
+      meta: { ts: it.ts, tags: it.tags || [], user: row?.user ?? null, convId: row?.convId ?? null },
+      vec: it.vec
+    };
+  });
+  report.vectors = importVectors(items);
+}
+
+function importLegacyDir(report) {
+  const oldState = readJSON(path.join(LEGACY_DIR, "state.json"), null);
+  if (oldState?.conversations) {
+    const state = readJSON(STATE_FILE, { conversations: {} });
+    for (const [cid, conv] of Object.entries(oldState.conversations)) {
+      if (!state.conversations[cid]) state.conversations[cid] = conv;
+    }
+    writeJSON(STATE_FILE, state);
+    report.conversations = Object.keys(oldState.conversations).length;
+  }
+  const oldVec = readJSON(path.join(LEGACY_DIR, "vectors.json"), null);
+  if (oldVec?.items) report.legacyVectors = importVectors(oldVec.items);
+
+  const oldSum = readJSON(path.join(LEGACY_DIR, "summaries.json"), null);
+  if (oldSum?.notes?.length) {
+    const sums = readJSON(SUM_FILE, { notes: [] });
+    const have = new Set(sums.notes.map(n => n.id));
+    const fresh = oldSum.notes.filter(n => !have.has(n.id));
+    sums.notes.push(...fresh);
+    writeJSON(SUM_FILE, sums);
+    report.summaries = fresh.length;
+  }
+}
+
+function seedWindows(report) {
+  const rows = readJSONL("transcripts.jsonl");
+  if (!rows.length) return;
+  const state = readJSON(STATE_FILE, { conversations: {} });
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.user)) byUser.set(r.user, []);
+    byUser.get(r.user).push(r);
+  }
+  let seeded = 0;
+  for (const [user, turns] of byUser) {
+    const conv = getConv(state, user);
+    if (conv.window.length) continue;
+    for (const t of turns.slice(-WINDOW_TURNS)) pushWindow(conv, t.role, t.content, t.ts);
+    conv.turns = turns.length;
+    seeded++;
+  }
+  writeJSON(STATE_FILE, state);
+  report.windows = seeded;
+}
+
+function memoryEngineV1(report) {
+  const memRows = importMemories(report);
+  importServerVectors(memRows, report);
+  if (fs.existsSync(LEGACY_DIR)) importLegacyDir(report);
+  seedWindows(report);
+}
+
+function conversationsV1(report) {
+  const state = readJSON(STATE_FILE, { conversations: {} });
+  let registered = 0;
+  for (const cid of Object.keys(state.conversations)) {
+    if (getConversation(cid)) continue;
+    createConversation({ id: cid, user: cid, title: "Earlier chats" });
+    registered++;
+  }
+  report.registered = registered;
+}
+
+// Ordered; each runs once
+const MIGRATIONS = [
+  ["memory-engine-v1", memoryEngineV1],
+  ["conversations-v1", conversationsV1],
+];
+
+function runMigrations() {
+  const marker = readJSON(MARKER_FILE, { applied: {} });
+  const ran = {};
+  for (const [name, fn] of MIGRATIONS) {
+    if (marker.applied[name]) continue;
+    const report = {};
+    fn(report);
+    marker.applied[name] = { at: new Date().toISOString(), report };
+    writeJSON(MARKER_FILE, marker);
+    console.log(`[memory] migration ${name}: ${JSON.stringify(report)}`);
+    ran[name] = report;
+  }
+  return ran;
+}
+
+module.exports = { runMigrations, userFromContent };
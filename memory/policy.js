@@ -7,8 +7,20 @@ const ROUTES = {
   "memory": ["summaries", "core-goals"],
 };
 
+// Cheap keyword intent detection; first match wins, anything else is "general"
+const INTENTS = [
+  ["code-edit", /\b(code|bug|refactor|function|addon|add-on|patch|deploy|server\.js|endpoint|selfedit)\b/i],
+  ["ui", /\b(ui|ux|layout|css|button|page|html|style|theme|sidebar)\b/i],
+  ["memory", /\b(remember|recall|forget|last time|earlier|memory|memories)\b/i],
+];
+
+function classifyIntent(text = "") {
+  for (const [intent, rx] of INTENTS) if (rx.test(text)) return intent;
+  return "general";
+}
+
 function bucketsForIntent(intent = "general") {
   return ROUTES[intent] || ROUTES.general;
 }
 
-module.exports = { bucketsForIntent };
+module.exports = { bucketsForIntent, classifyIntent };
@@ -0,0 +1,210 @@
+// /memory/profile.js
+// Per-user profile: stable facts as (subject, predicate, object) triples, pulled from each user turn.
+//   - Store: the "profiles.json" document (storage/) → { users: { [user]: { facts: [fact] } } }
+//     fact: { id, subject, predicate, object, confidence (0–1), status: "active" | "superseded" | "rejected",
+//             source: { convId, ts, text } (the turn it came from; "manual" when a person added it), seen,
+//             createdAt, updatedAt, corrected?: { at, by }, supersededBy? }
+//   - Extraction runs after each turn, off the reply path. The chat model answers with JSON triples; when it
+//     answers anything else (or the mock provider is on), a few patterns catch the common statements
+//     ("my X is Y", "I prefer …", "I work at …"). Chatter, bare questions and dumps (llm/importance.js) are
+//     skipped without a model call. AURION_PROFILE_FACTS=0 turns extraction off.
+//   - Merging: the same triple again raises its confidence. A predicate outside MULTI holds one value, so a new
+//     object supersedes the old fact. People win over extraction: a rejected triple is never re-added and a
+//     corrected fact is never superseded.
+const crypto = require("crypto");
+const { readJSON, writeJSON } = require("./store");
+const { heuristicImportance } = require("../llm/importance");
+const llm = require("../llm");
+
+const PROFILE_FILE = "profiles.json";
+const ENABLED = process.env.AURION_PROFILE_FACTS !== "0";
+const MIN_IMPORTANCE = 0.3;     // below: chatter, questions, dumps → no extraction
+const MAX_FACTS = 8;            // per turn
+const SOURCE_CHARS = 300;
+const HEURISTIC_CONFIDENCE = 0.6;
+// Predicates that can hold several values at once; every other predicate holds one
+const MULTI = new Set(["prefers", "likes", "loves", "dislikes", "hates", "uses", "wants", "needs", "works on", "is building", "knows", "has"]);
+
+function load() { return { users: {}, ...readJSON(PROFILE_FILE, {}) }; }
+function save(p) { writeJSON(PROFILE_FILE, p); }
+
+const clean = (s, max = 120) => String(s ?? "").replace(/\s+/g, " ").trim().replace(/[.!?,;:]+$/, "").slice(0, max);
+const key = (s) => clean(s).toLowerCase();
+const clamp = (n) => Math.round(Math.min(1, Math.max(0, Number(n))) * 100) / 100;
+
+// "I" / "me" / "user" → the user's name, so every fact about them shares one subject
+function subjectFor(subject, user) {
+  const s = clean(subject, 64);
+  return !s || /^(i|me|myself|user|the user)$/i.test(s) || key(s) === key(user) ? user : s;
+}
+
+// → { subject, predicate, object, confidence } or null when a part is missing
+function triple(raw, user, confidence) {
+  const t = {
+    subject: subjectFor(raw?.subject, user),
+    predicate: key(raw?.predicate).slice(0, 48),
+    object: clean(raw?.object),
+    confidence: clamp(raw?.confidence ?? confidence)
+  };
+  return t.predicate && t.object && Number.isFinite(t.confidence) ? t : null;
+}
+
+////////////////
+// Extraction //
+////////////////
+const VERBS = { prefer: "prefers", like: "likes", love: "loves", hate: "hates", dislike: "dislikes", use: "uses", want: "wants", need: "needs" };
+const PATTERNS = [
+  [/\bmy name is ([\p{L}' -]{2,40})/iu, (m) => ({ predicate: "name", object: m[1] })],
+  [/\bmy ([a-z][a-z ]{1,30}?) (?:is|are) (?:named |called )?([^.,!?\n]{2,60})/i, (m) => (m[1] === "name" ? null : { predicate: m[1], object: m[2] })],
+  [/\bI (prefer|like|love|hate|dislike|use|want|need) ([^.!?\n]{2,80})/i, (m) => ({ predicate: VERBS[m[1].toLowerCase()], object: m[2] })],
+  [/\bI work (at|for|as|on) ([^.,!?\n]{2,60})/i, (m) => ({ predicate: m[1].toLowerCase() === "for" ? "works at" : `works ${m[1].toLowerCase()}`, object: m[2] })],
+  [/\bI live in ([^.,!?\n]{2,60})/i, (m) => ({ predicate: "lives in", object: m[1] })],
+  [/\bI(?:'m| am) building ([^.!?\n]{2,80})/i, (m) => ({ predicate: "is building", object: m[1] })]
+];
+
+// Trailing fillers on an object: "Lisbon now" → "Lisbon"
+const FILLER = /\s+(now|too|also|as well|these days|anyway)\s*$/i;
+
+function patternFacts(text, user) {
+  const out = [];
+  for (const sentence of String(text).split(/(?<=[.!?])\s+|\n+/)) {
+    for (const [rx, build] of PATTERNS) {
+      const m = rx.exec(sentence);
+      const raw = m && build(m);
+      const t = raw && triple({ subject: user, ...raw, object: String(raw.object).replace(FILLER, "") }, user, HEURISTIC_CONFIDENCE);
+      if (t) out.push(t);
+    }
+  }
+  return out;
+}
+
+// null when the answer isn't a JSON array (the caller falls back to the patterns)
+async function modelFacts(text, user) {
+  const sys = "Extract stable facts from the user's message: preferences, projects, work, places, and the people, " +
+    "pets and things in their life. Only facts that will still be true next month; no opinions about this chat. " +
+    'Answer with a JSON array of {"subject","predicate","object","confidence"} and nothing else. The subject is the ' +
+    "user's name for facts about them, else the person or thing named; the predicate is a short lowercase phrase " +
+    '("prefers", "works at", "sister"); confidence is 0 to 1. Answer [] when there are none.';
+  let out;
+  try {
+    out = await llm.chat(
+      [{ role: "system", content: sys }, { role: "user", content: `User name: ${user}\nMessage: ${String(text).slice(0, 4000)}` }],
+      { model: llm.provider().chatModel, temperature: 0, max_tokens: 400 }
+    );
+  } catch { return null; }
+  const s = String(out || "");
+  const start = s.indexOf("["), end = s.lastIndexOf("]");
+  if (start < 0 || end < start) return null;
+  try {
+    const arr = JSON.parse(s.slice(start, end + 1));
+    return Array.isArray(arr) ? arr.map(r => triple(r, user, 0.7)).filter(Boolean) : null;
+  } catch { return null; }
+}
+
+/////////////
+// Merging //
+/////////////
+const same = (a, b) => key(a.subject) === key(b.subject) && a.predicate === b.predicate;
+const newId = () => crypto.randomBytes(6).toString("hex");
+
+// Single-valued predicate: the other active facts with the same subject + predicate step aside for `fact`
+function supersede(facts, fact, now) {
+  if (MULTI.has(fact.predicate)) return;
+  for (const f of facts) {
+    if (f !== fact && same(f, fact) && f.status === "active") Object.assign(f, { status: "superseded", supersededBy: fact.id, updatedAt: now });
+  }
+}
+
+// Folds one triple into the user's facts → the fact that now holds it, or null if a person ruled it out
+function merge(facts, t, source, now) {
+  const exact = facts.find(f => same(f, t) && key(f.object) === key(t.object));
+  if (exact?.status === "rejected") return null;
+  if (!MULTI.has(t.predicate) && facts.some(f => f !== exact && same(f, t) && f.status === "active" && f.corrected)) return null;
+  const fact = exact || { id: newId(), ...t, seen: 0, createdAt: now };
+  if (exact) fact.confidence = clamp(Math.max(exact.confidence, t.confidence) + 0.1 * (1 - exact.confidence));
+  Object.assign(fact, { status: "active", source, seen: fact.seen + 1, updatedAt: now });
+  delete fact.supersededBy;
+  if (!exact) facts.push(fact);
+  supersede(facts, fact, now);
+  return fact;
+}
+
+////////////
+// Public //
+////////////
+// After a turn: the user's message → the facts added or confirmed (empty when nothing was found)
+async function extractFacts({ user, convId = null, text, ts = Date.now() }) {
+  if (!ENABLED || !user || !String(text || "").trim()) return [];
+  if (heuristicImportance(text, ["chat"]).importance < MIN_IMPORTANCE) return [];
+  const found = ((await modelFacts(text, user)) ?? patternFacts(text, user)).slice(0, MAX_FACTS);
+  if (!found.length) return [];
+
+  // Re-read: the profile may have changed while the model was busy
+  const p = load();
+  const facts = (p.users[user] ||= { facts: [] }).facts;
+  const now = new Date().toISOString();
+  const source = { convId, ts: new Date(ts).toISOString(), text: String(text).slice(0, SOURCE_CHARS) };
+  const touched = found.map(t => merge(facts, t, source, now)).filter(Boolean);
+  if (touched.length) save(p);
+  return touched;
+}
+
+// all: include superseded and rejected facts → { user, facts } (most confident first)
+function getProfile(user, { all = false } = {}) {
+  const facts = (load().users[user]?.facts || []).filter(f => all || f.status === "active");
+  return { user, facts: facts.sort((a, b) => b.confidence - a.confidence || (a.updatedAt < b.updatedAt ? 1 : -1)) };
+}
+
+// Short lines for the system prompt: active facts, corrected ones and the most confident first
+function profileLines(user, { limit = 8, minConfidence = 0.5 } = {}) {
+  return getProfile(user).facts
+    .filter(f => f.corrected || f.confidence >= minConfidence)
+    .sort((a, b) => !!b.corrected - !!a.corrected)
+    .slice(0, limit)
+    .map(f => `${f.subject} — ${f.predicate}: ${f.object}${f.corrected ? " (confirmed)" : ""}`);
+}
+
+// A person states a fact → the fact (confidence 1 unless given; it supersedes single-valued rivals)
+function addFact(user, raw, { by = null } = {}) {
+  const t = triple(raw, user, 1);
+  if (!t) return null;
+  const p = load();
+  const facts = (p.users[user] ||= { facts: [] }).facts;
+  const now = new Date().toISOString();
+  let fact = facts.find(f => same(f, t) && key(f.object) === key(t.object));
+  if (!fact) facts.push(fact = { id: newId(), ...t, seen: 0, createdAt: now });
+  Object.assign(fact, { confidence: t.confidence, status: "active", source: "manual", seen: fact.seen + 1, updatedAt: now, corrected: { at: now, by } });
+  delete fact.supersededBy;
+  supersede(facts, fact, now);
+  save(p);
+  return fact;
+}
+
+// patch: { subject?, predicate?, object?, confidence? } → the corrected fact, or null if the id is unknown.
+// A correction is authoritative: confidence 1 unless given, and extraction won't supersede it.
+function correctFact(user, id, patch, { by = null } = {}) {
+  const p = load();
+  const fact = p.users[user]?.facts.find(f => f.id === id);
+  if (!fact) return null;
+  const t = triple({ ...fact, ...patch, confidence: patch.confidence ?? 1 }, user, 1);
+  if (!t) return null;
+  const now = new Date().toISOString();
+  Object.assign(fact, t, { status: "active", updatedAt: now, corrected: { at: now, by } });
+  delete fact.supersededBy;
+  supersede(p.users[user].facts, fact, now);
+  save(p);
+  return fact;
+}
+
+// Marks a fact wrong: hidden from the prompt and never re-extracted → the fact, or null if the id is unknown
+function rejectFact(user, id, { by = null } = {}) {
+  const p = load();
+  const fact = p.users[user]?.facts.find(f => f.id === id);
+  if (!fact) return null;
+  const now = new Date().toISOString();
+  Object.assign(fact, { status: "rejected", updatedAt: now, corrected: { at: now, by } });
+  save(p);
+  return fact;
+}
+
+module.exports = { PROFILE_FILE, extractFacts, getProfile, profileLines, addFact, correctFact, rejectFact };
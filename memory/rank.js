@@ -0,0 +1,125 @@
+// /memory/rank.js
+// Fuses recall candidates from several signals into one ranking, drops near-duplicates and explains each pick.
+//   Signals: semantic (cosine), lexical (BM25), recency (1/√age in hours; pinned memories don't fade),
+//            importance (what is left of the memory's importance after decay, episodic.js `retention`),
+//            pinned, tag (the memory carries one of the wanted tags).
+//   Modes:   "rrf"      → Σ weight / (60 + rank) over the signals a candidate has (reciprocal rank fusion)
+//            "weighted" → Σ weight × normalized value (cosine ≥ 0, BM25 / best BM25, recency, importance, 0|1 flags)
+//   AURION_RECALL_FUSION picks the mode (default rrf); AURION_RECALL_WEIGHTS overrides weights, e.g.
+//   "semantic=1,lexical=1,recency=0.3,importance=0.5,pinned=0.5,tag=0.3". recallHybrid options override both per call.
+// Near-duplicates: word-set Jaccard similarity ≥ AURION_RECALL_DEDUP (0.85); the better-ranked copy stays.
+const { tokenize } = require("./fulltext");
+
+const SIGNALS = ["semantic", "lexical", "recency", "importance", "pinned", "tag"];
+const DEFAULT_WEIGHTS = { semantic: 1, lexical: 1, recency: 0.3, importance: 0.5, pinned: 0.5, tag: 0.3 };
+const RRF_K = 60;
+
+function parseWeights(spec) {
+  const out = {};
+  for (const part of String(spec || "").split(",")) {
+    const [k, v] = part.split("=").map(s => s && s.trim());
+    if (SIGNALS.includes(k) && Number.isFinite(Number(v))) out[k] = Number(v);
+  }
+  return out;
+}
+const ENV_WEIGHTS = parseWeights(process.env.AURION_RECALL_WEIGHTS);
+const ENV_MODE = String(process.env.AURION_RECALL_FUSION || "rrf").toLowerCase() === "weighted" ? "weighted" : "rrf";
+const DEDUP = Number(process.env.AURION_RECALL_DEDUP || 0.85);
+
+function settings({ mode, weights } = {}) {
+  return {
+    mode: mode === "weighted" || mode === "rrf" ? mode : ENV_MODE,
+    weights: { ...DEFAULT_WEIGHTS, ...ENV_WEIGHTS, ...(weights || {}) }
+  };
+}
+
+function recencyOf(c, now) {
+  if (c.pinned) return 1;
+  const t = Date.parse(c.ts);
+  return Number.isFinite(t) ? 1 / Math.sqrt(Math.max(1, (now - t) / 3_600_000)) : 0;
+}
+
+const round = (n, digits = 3) => Number(n.toFixed(digits));
+function ago(ts, now) {
+  const h = (now - Date.parse(ts)) / 3_600_000;
+  if (!Number.isFinite(h)) return "undated";
+  return h < 1 ? "< 1h ago" : h < 48 ? `${Math.round(h)}h ago` : `${Math.round(h / 24)}d ago`;
+}
+
+// candidates: [{ id, text, ts, bucket, pinned, tags, semantic?: cosine, lexical?: bm25, retention?: 0–1 }] (one per id)
+// → same objects with { score, explain: { mode, signals: { name: { value, rank?, contribution } }, why: [...] } },
+//   best first
+function fuse(candidates, { mode, weights, tags = [] } = {}) {
+  const cfg = settings({ mode, weights });
+  const now = Date.now();
+  const wanted = new Set(tags);
+  const rows = candidates.map(c => ({
+    c,
+    values: {
+      semantic: c.semantic != null ? Math.max(0, c.semantic) : 0,
+      lexical: c.lexical || 0,
+      recency: recencyOf(c, now),
+      importance: c.retention || 0,
+      pinned: c.pinned ? 1 : 0,
+      tag: (c.tags || []).some(t => wanted.has(t)) ? 1 : 0
+    }
+  }));
+  const ranks = {};
+  for (const s of SIGNALS) {
+    ranks[s] = new Map();
+    rows.filter(r => r.values[s] > 0).sort((a, b) => b.values[s] - a.values[s]).forEach((r, i) => ranks[s].set(r, i + 1));
+  }
+  const bestLexical = Math.max(0, ...rows.map(r => r.values.lexical)) || 1;
+
+  for (const r of rows) {
+    const signals = {};
+    let score = 0;
+    for (const s of SIGNALS) {
+      const rank = ranks[s].get(r);
+      if (!rank || !cfg.weights[s]) continue;
+      // Flags have no order of their own: every pinned / tagged candidate counts as rank 1
+      const flag = s === "pinned" || s === "tag";
+      const contribution = cfg.mode === "rrf"
+        ? cfg.weights[s] / (RRF_K + (flag ? 1 : rank))
+        : cfg.weights[s] * (s === "lexical" ? r.values.lexical / bestLexical : r.values[s]);
+      score += contribution;
+      signals[s] = { value: round(r.values[s]), ...(flag ? {} : { rank }), contribution: round(contribution, 4) };
+    }
+    const why = [];
+    if (signals.semantic) why.push(`semantic #${signals.semantic.rank} (cosine ${signals.semantic.value})`);
+    if (signals.lexical) why.push(`lexical #${signals.lexical.rank} (bm25 ${signals.lexical.value})`);
+    if (signals.recency) why.push(`recency #${signals.recency.rank} (${r.c.pinned ? "pinned, doesn't fade" : ago(r.c.ts, now)})`);
+    if (signals.importance) why.push(`importance #${signals.importance.rank} (${signals.importance.value} after decay)`);
+    if (signals.pinned) why.push("pinned");
+    if (signals.tag) why.push("tag: " + r.c.tags.filter(t => wanted.has(t)).join(", "));
+    r.c.score = score;
+    r.c.explain = { mode: cfg.mode, score: round(score, 4), signals, why };
+  }
+  return rows.map(r => r.c).sort((a, b) => b.score - a.score);
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// Ranked list → the first `limit` items that aren't near-duplicates of a better-ranked one.
+// Dropped copies are listed on the kept item as explain.duplicates.
+function dedupe(ranked, { limit = Infinity, threshold = DEDUP } = {}) {
+  const kept = [];
+  for (const c of ranked) {
+    const words = new Set(tokenize(c.text));
+    const twin = kept.find(k => jaccard(k.words, words) >= threshold);
+    if (twin) {
+      if (twin.c.explain) (twin.c.explain.duplicates ||= []).push(c.id);
+      continue;
+    }
+    if (kept.length >= limit) break;
+    kept.push({ c, words });
+  }
+  return kept.map(k => k.c);
+}
+
+module.exports = { SIGNALS, DEFAULT_WEIGHTS, settings, parseWeights, fuse, dedupe };
@@ -1,26 +1,41 @@
 // /memory/semantic.js
-const { readJSON, writeJSON } = require("./store");
-const { embed, cosine } = require("./embeddings");
-
-const VEC_FILE = "vectors.json";
-// shape: { items: [{ id, bucket, text, meta, vec }] }
-function load() { return readJSON(VEC_FILE, { items: [] }); }
-function save(v) { writeJSON(VEC_FILE, v); }
+// Embeds text and keeps it in the vector store (vectorstore.js); search stays in memory.
+const { embed } = require("./embeddings");
+const store = require("./vectorstore");
 
+// item shape: { id, bucket, text, meta, vec }
 async function addToVectors({ id, bucket, text, meta = {} }) {
-  const v = load();
   const [vec] = await embed([text]);
-  v.items.push({ id, bucket, text, meta, vec });
-  save(v);
+  await store.put([{ id, bucket, text, meta, vec }]);
+}
+
+// Bulk insert of already-embedded items (migration); skips ids that already exist
+function importVectors(items) {
+  const fresh = items.filter(i => i && Array.isArray(i.vec) && !store.has(i.id));
+  store.put(fresh);
+  return fresh.length;
+}
+
+function removeVectors(ids) {
+  return store.remove(ids);
+}
+
+// New bucket/meta for an indexed item, without embedding it again → false if the id isn't indexed
+async function relabelVector(id, { bucket, meta }) {
+  const it = store.get(id);
+  if (!it) return false;
+  await store.put([{ ...it, bucket: bucket ?? it.bucket, meta: meta ?? it.meta }]);
+  return true;
 }
 
-async function searchVectors({ query, buckets = [], k = 5 }) {
-  const v = load();
+// Pinned items (meta.pinned) are searched whatever the bucket list
+async function searchVectors({ query, buckets = [], k = 5, filter = null }) {
+  if (!store.size()) return [];
   const [qvec] = await embed([query]);
-  const pool = buckets.length ? v.items.filter(i => buckets.includes(i.bucket)) : v.items;
-  const scored = pool.map(i => ({ item: i, score: cosine(qvec, i.vec) }));
-  scored.sort((a,b) => b.score - a.score);
-  return scored.slice(0, k).map(s => ({ text: s.item.text, meta: s.item.meta, score: s.score, bucket: s.item.bucket }));
+  return store.search(qvec, {
+    k,
+    filter: i => (!buckets.length || buckets.includes(i.bucket) || i.meta?.pinned) && (!filter || filter(i))
+  });
 }
 
-module.exports = { addToVectors, searchVectors };
+module.exports = { addToVectors, importVectors, removeVectors, relabelVector, searchVectors };
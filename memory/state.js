@@ -2,9 +2,10 @@
 const { readJSON, writeJSON } = require("./store");
 
 const STATE_FILE = "state.json";
-const DEFAULT = { conversations: {} };
+const WINDOW_TURNS = 12;
+const WINDOW_CHARS = 4000; // per turn; full text stays in transcripts
 
-function load() { return readJSON(STATE_FILE, DEFAULT); }
+function load() { return readJSON(STATE_FILE, { conversations: {} }); }
 function save(s) { writeJSON(STATE_FILE, s); }
 
 function getConv(state, cid) {
@@ -16,18 +17,21 @@ function getConv(state, cid) {
       current_task: null,
       persona_flags: { aurion_mode: true },
 
-      // short-term window (last 12 turns):
-      window: [] // [{role, content, ts}]
+      // short-term window (last WINDOW_TURNS turns):
+      window: [], // [{role, content, ts}]
+      turns: 0    // every turn pushed so far; null when unknown (threads from before the count)
     };
   }
   return state.conversations[cid];
 }
 
-function pushWindow(conv, role, content) {
-  conv.window.push({ role, content, ts: Date.now() });
-  if (conv.window.length > 12) conv.window.shift();
+// ts: pass the transcript row's ts so window turns can be matched against summaries (summarizer.js)
+function pushWindow(conv, role, content, ts = Date.now()) {
+  conv.window.push({ role, content: String(content || "").slice(0, WINDOW_CHARS), ts });
+  if (conv.turns != null) conv.turns++;
+  while (conv.window.length > WINDOW_TURNS) conv.window.shift();
 }
 
 module.exports = {
-  load, save, getConv, pushWindow
+  STATE_FILE, WINDOW_TURNS, load, save, getConv, pushWindow
 };
@@ -1,25 +1,55 @@
 // /memory/store.js
+// Storage helpers for the memory engine. Store names ("state.json", "memories.jsonl") go through the
+// configured storage backend (storage/: files under DATA_DIR or SQLite); absolute paths are read and written
+// as plain files — that is how migrate.js and userdata.js reach the legacy files left in DATA_DIR.
 const fs = require("fs");
 const path = require("path");
+const storage = require("../storage");
 
-const DATA_DIR = path.join(process.cwd(), "data");
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const { DATA_DIR } = storage;
+// Where the old, never-wired memory/ modules used to write (imported once by migrate.js)
+const LEGACY_DIR = path.join(process.cwd(), "data");
+try { fs.mkdirSync(DATA_DIR, { recursive: true }); } catch {}
+
+const isFile = (file) => path.isAbsolute(file);
 
 function readJSON(file, fallback) {
-  const p = path.join(DATA_DIR, file);
+  if (!isFile(file)) return storage.readJSON(file, fallback);
   try {
-    if (!fs.existsSync(p)) return fallback;
-    return JSON.parse(fs.readFileSync(p, "utf8"));
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
   } catch {
     return fallback;
   }
 }
 
 function writeJSON(file, obj) {
-  const p = path.join(DATA_DIR, file);
-  const tmp = p + ".tmp";
+  if (!isFile(file)) return storage.writeJSON(file, obj);
+  const tmp = file + ".tmp";
   fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
-  fs.renameSync(tmp, p);
+  fs.renameSync(tmp, file);
+}
+
+function readJSONL(file) {
+  if (!isFile(file)) return storage.readJSONL(file);
+  const raw = fs.existsSync(file) ? fs.readFileSync(file, "utf8").trim() : "";
+  if (!raw) return [];
+  return raw.split("\n").map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+}
+
+// Whole-log rewrite, for edits and deletes in an otherwise append-only log
+function writeJSONL(file, rows) {
+  if (!isFile(file)) return storage.writeJSONL(file, rows);
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : ""), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function appendJSONL(file, rows) {
+  if (!isFile(file)) return storage.appendJSONL(file, rows);
+  const list = Array.isArray(rows) ? rows : [rows];
+  if (!list.length) return;
+  fs.appendFileSync(file, list.map(r => JSON.stringify(r)).join("\n") + "\n", "utf8");
 }
 
-module.exports = { readJSON, writeJSON };
+module.exports = { DATA_DIR, LEGACY_DIR, readJSON, writeJSON, readJSONL, writeJSONL, appendJSONL };
@@ -1,42 +1,161 @@
 // /memory/summarizer.js
-const { readJSON, writeJSON } = require("./store");
+// Rolling summaries: older transcript turns are squashed into one running note per conversation, and a
+// user's conversation notes into one note per user.
+//   - A conversation keeps its newest KEEP_TURNS turns verbatim. Once BATCH older turns have piled up they
+//     are folded into the conversation note together with the previous note (one LLM call, oldest first).
+//     `coveredTs` is the transcript ts of the last folded turn; chatHandler sends the note instead of them.
+//   - A user note is rebuilt from that user's conversation notes whenever one of them changed.
+//   - Notes are indexed into the "summaries" bucket under stable ids (sum_c_<convId> / sum_u_<user>),
+//     so a new version replaces the old vector instead of piling up.
+//   - After a turn, index.js passes the conversation's window when it still holds every unfolded turn, so the
+//     transcript log is only read when the window fell behind; sweep() reads it to catch up everything that is
+//     due and runs on a timer.
+const { readJSON, writeJSON, readJSONL } = require("./store");
 const { addToVectors } = require("./semantic");
-const OpenAI = require("openai");
-const { v4: uuid } = require("uuid");
-const client = new OpenAI();
+const llm = require("../llm");
 
 const SUM_FILE = "summaries.json";
-// shape: { notes: [{ id, convId, text, ts }] }
-function load() { return readJSON(SUM_FILE, { notes: [] }); }
+const TX_FILE = "transcripts.jsonl"; // written by server.js: { ts, user, conv_id, role, content }
+// shape: { conversations: { [convId]: { convId, user, text, coveredTs, turns, updatedAt } },
+//          users: { [user]: { user, text, convs, updatedAt, dirty } },
+//          notes: [...] (pre-rolling notes, kept as imported) }
+const KEEP_TURNS = Number(process.env.AURION_SUMMARY_KEEP_TURNS || 6);
+const BATCH = Number(process.env.AURION_SUMMARY_BATCH || 6);
+const MAX_FOLD = 40;        // turns per LLM call; the rest waits for the next pass
+const TURN_CHARS = 1500;    // per turn in the summarizer prompt
+const NOTE_TOKENS = 500;
+const USER_NOTES = 10;      // most recent conversation notes that feed a user note
+
+function load() { return { conversations: {}, users: {}, notes: [], ...readJSON(SUM_FILE, {}) }; }
 function save(s) { writeJSON(SUM_FILE, s); }
 
-async function summarizeTurn({ convId, window, activeState }) {
-  // Only summarize on “meaningful” turns: if a pending action changed or we got confirmation
-  const meaningful = !!(activeState?.pending_action || activeState?.last_user_confirmation || activeState?.current_task);
-  if (!meaningful) return null;
+// Rows written before threads existed have no conv_id; they belong to the user-named legacy thread
+function transcriptByConversation() {
+  const byConv = new Map();
+  for (const r of readJSONL(TX_FILE)) {
+    const cid = r.conv_id || r.user;
+    if (!byConv.has(cid)) byConv.set(cid, []);
+    byConv.get(cid).push(r);
+  }
+  return byConv;
+}
+
+// One conversation's transcript turns (reads the whole log)
+function conversationTurns(convId) { return transcriptByConversation().get(convId) || []; }
+
+// Turns that are old enough to fold and not folded yet
+function pendingTurns(turns, note) {
+  const older = turns.slice(0, Math.max(0, turns.length - KEEP_TURNS));
+  return note ? older.filter(t => t.ts > note.coveredTs) : older;
+}
+
+const running = new Set();
+async function once(key, fn) {
+  if (running.has(key)) return null;
+  running.add(key);
+  try { return await fn(); } finally { running.delete(key); }
+}
+
+async function indexNote(id, text, meta) {
+  try { await addToVectors({ id, bucket: "summaries", text, meta: { ...meta, ts: new Date().toISOString() } }); }
+  catch { /* no embeddings → the note still reaches the prompt from summaries.json */ }
+}
+
+// turns: the conversation's turns when the caller has them (else read from the log) · user: the owner, for
+// turns that don't name one (window turns) · force: fold whatever is pending, even less than BATCH
+// → the updated note, or null if nothing was due
+async function summarizeConversation(convId, { turns = null, user: owner = null, force = false } = {}) {
+  return once("c:" + convId, async () => {
+    const all = turns || conversationTurns(convId);
+    const prev = load().conversations[convId] || null;
+    const pending = pendingTurns(all, prev);
+    if (!pending.length || (!force && pending.length < BATCH)) return null;
+    const fold = pending.slice(0, MAX_FOLD);
 
-  const last8 = window.slice(-8).map(m => `${m.role.toUpperCase()}: ${m.content}`).join("\n");
-  const sys = "You are a concise notetaker. Produce 3–5 bullet points: decision(s), why, and next step.";
-  const prompt = `Transcript:\n${last8}\n\nActiveState:\n${JSON.stringify(activeState, null, 2)}\n\nWrite the canonical notes.`;
+    const lines = fold.map(t => `${t.role.toUpperCase()}: ${String(t.content || "").slice(0, TURN_CHARS)}`).join("\n");
+    const sys = "You keep the running notes of one conversation. Merge the new turns into the previous notes. " +
+      "Keep facts, decisions (with why), open questions and next steps; drop small talk. " +
+      "Write compact bullet points, at most 12, newest state winning where they disagree.";
+    const prompt = `Previous notes:\n${prev?.text || "(none)"}\n\nNew turns:\n${lines}\n\nWrite the updated notes.`;
+    const out = await llm.chat(
+      [{ role: "system", content: sys }, { role: "user", content: prompt }],
+      { model: llm.provider().chatModel, temperature: 0.2, max_tokens: NOTE_TOKENS }
+    );
+    const text = String(out || "").trim();
+    if (!text) return null;
 
-  const res = await client.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "system", content: sys }, { role: "user", content: prompt }],
-    temperature: 0.2
+    // Re-read: another request may have written summaries.json while the model was busy
+    const s = load();
+    const user = fold[fold.length - 1].user || owner || prev?.user || null;
+    const note = {
+      convId, user, text,
+      coveredTs: fold[fold.length - 1].ts,
+      turns: (prev?.turns || 0) + fold.length,
+      updatedAt: new Date().toISOString()
+    };
+    s.conversations[convId] = note;
+    if (user) s.users[user] = { ...(s.users[user] || { user, text: "", convs: 0 }), dirty: true };
+    save(s);
+    await indexNote(`sum_c_${convId}`, text, { convId, user, kind: "conversation" });
+    return note;
   });
+}
 
-  const text = (res.choices?.[0]?.message?.content || "").trim();
-  if (!text) return null;
+// Rebuilds the user note from their conversation notes (only when one of them changed unless forced)
+async function summarizeUser(user, { force = false } = {}) {
+  return once("u:" + user, async () => {
+    const s = load();
+    if (!force && !s.users[user]?.dirty) return null;
+    const notes = Object.values(s.conversations)
+      .filter(n => n.user === user)
+      .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
+      .slice(0, USER_NOTES);
+    if (!notes.length) return null;
 
-  const s = load();
-  const id = uuid();
-  const note = { id, convId, text, ts: Date.now() };
-  s.notes.push(note);
-  save(s);
+    const sys = "You keep long-term notes about one user across their conversations. " +
+      "Merge the conversation notes into compact bullet points (at most 12): ongoing projects, preferences, " +
+      "decisions and open threads. Newer notes come first and win where they disagree.";
+    const prompt = notes.map((n, i) => `Conversation ${i + 1} (${n.updatedAt}):\n${n.text}`).join("\n\n");
+    const out = await llm.chat(
+      [{ role: "system", content: sys }, { role: "user", content: prompt }],
+      { model: llm.provider().chatModel, temperature: 0.2, max_tokens: NOTE_TOKENS }
+    );
+    const text = String(out || "").trim();
+    if (!text) return null;
 
-  // index into vector store under "summaries"
-  await addToVectors({ id, bucket: "summaries", text, meta: { convId } });
-  return note;
+    const fresh = load();
+    const changedSince = Object.values(fresh.conversations).some(n => n.user === user && n.updatedAt > notes[0].updatedAt);
+    const note = { user, text, convs: notes.length, updatedAt: new Date().toISOString(), dirty: changedSince };
+    fresh.users[user] = note;
+    save(fresh);
+    await indexNote(`sum_u_${user}`, text, { user, kind: "user" });
+    return note;
+  });
+}
+
+// One pass over every conversation and user that is due → { conversations, users } updated
+async function sweep() {
+  const done = { conversations: 0, users: 0 };
+  const summaries = load();
+  for (const [convId, turns] of transcriptByConversation()) {
+    if (pendingTurns(turns, summaries.conversations[convId]).length < BATCH) continue;
+    try { if (await summarizeConversation(convId, { turns })) done.conversations++; }
+    catch (e) { console.error(`[summaries] ${convId}:`, e.message); }
+  }
+  for (const [user, u] of Object.entries(load().users)) {
+    if (!u.dirty) continue;
+    try { if (await summarizeUser(user)) done.users++; }
+    catch (e) { console.error(`[summaries] user ${user}:`, e.message); }
+  }
+  return done;
+}
+
+function getSummaries({ convId, user } = {}) {
+  const s = load();
+  return {
+    conversation: convId ? s.conversations[convId] || null : null,
+    user: user ? s.users[user] || null : null
+  };
 }
 
-module.exports = { summarizeTurn };
+module.exports = { SUM_FILE, KEEP_TURNS, BATCH, conversationTurns, summarizeConversation, summarizeUser, sweep, getSummaries };
@@ -0,0 +1,181 @@
+// /memory/userdata.js
+// Per-user export and erasure across every store (storage/ backend) and the legacy files in DATA_DIR.
+//   A user owns: their conversation threads (conversations.json) with windows and active state (state.json),
+//   transcript rows, memories, vectors (meta.user, or meta.convId of one of their threads), summary notes and
+//   profile facts (profiles.json).
+//   The pre-engine files left in place by migrate.js (aurion_memory.jsonl, aurion_vectors.json,
+//   vectors.json.imported) only name the user inside the text ("User steve: …"); rows are matched that way,
+//   so replies in those files can't be attributed and stay.
+// exportUser() → tar.gz Buffer · eraseUser() rewrites every store without the user, compacts the vector log
+// and appends what was removed (counts only) to erasures.jsonl.
+const zlib = require("zlib");
+const path = require("path");
+const { DATA_DIR, readJSON, writeJSON, readJSONL, writeJSONL, appendJSONL } = require("./store");
+const { MEM_FILE } = require("./episodic");
+const { STATE_FILE } = require("./state");
+const { SUM_FILE } = require("./summarizer");
+const { CONV_FILE } = require("./conversations");
+const { PROFILE_FILE } = require("./profile");
+const { userFromContent } = require("./migrate");
+const vectors = require("./vectorstore");
+const fulltext = require("./fulltext");
+
+const TX_FILE = "transcripts.jsonl";
+const ERASURE_LOG = "erasures.jsonl";
+// Legacy leftovers are plain files in DATA_DIR whichever storage backend is active
+const LEGACY_MEMORIES = path.join(DATA_DIR, "aurion_memory.jsonl");
+const LEGACY_VECTOR_FILES = ["aurion_vectors.json", "vectors.json.imported"].map(f => path.join(DATA_DIR, f));
+
+// Everything that identifies the user's rows
+function ownership(user) {
+  const convIds = new Set(readJSON(CONV_FILE, { items: [] }).items.filter(c => c.user === user).map(c => c.id));
+  const owns = (u, convId) => u === user || (convId != null && convIds.has(convId));
+  const ownsVector = (it) => owns(it.meta?.user, it.meta?.convId) || it.id === `sum_u_${user}` ||
+    [...convIds].some(c => it.id === `sum_c_${c}`);
+  const ownsLegacy = (text) => userFromContent(text) === user;
+  return { convIds, owns, ownsVector, ownsLegacy };
+}
+
+function collect(user) {
+  const own = ownership(user);
+  const sums = readJSON(SUM_FILE, {});
+  const state = readJSON(STATE_FILE, { conversations: {} });
+  const legacyVectors = LEGACY_VECTOR_FILES.flatMap(f =>
+    (readJSON(f, { items: [] }).items || []).filter(it => own.ownsVector(it) || own.ownsLegacy(it.text)).map(it => ({ file: path.basename(f), ...it })));
+  return {
+    own,
+    conversations: readJSON(CONV_FILE, { items: [] }).items.filter(c => own.convIds.has(c.id))
+      .map(c => ({ ...c, state: state.conversations[c.id] || null })),
+    transcripts: readJSONL(TX_FILE).filter(r => own.owns(r.user, r.conv_id)),
+    memories: readJSONL(MEM_FILE).filter(m => own.owns(m.user, m.convId)),
+    vectors: vectors.find(own.ownsVector),
+    summaries: {
+      user: sums.users?.[user] || null,
+      conversations: Object.values(sums.conversations || {}).filter(n => own.owns(n.user, n.convId)),
+      notes: (sums.notes || []).filter(n => own.convIds.has(n.convId))
+    },
+    profile: readJSON(PROFILE_FILE, {}).users?.[user]?.facts || [],
+    legacy: {
+      memories: readJSONL(LEGACY_MEMORIES).filter(m => own.ownsLegacy(m.content)),
+      vectors: legacyVectors
+    }
+  };
+}
+
+const counts = (d) => ({
+  conversations: d.conversations.length,
+  transcripts: d.transcripts.length,
+  memories: d.memories.length,
+  vectors: d.vectors.length,
+  summaries: d.summaries.conversations.length + d.summaries.notes.length + (d.summaries.user ? 1 : 0),
+  profile: d.profile.length,
+  legacy: d.legacy.memories.length + d.legacy.vectors.length
+});
+
+/////////
+// tar //
+/////////
+// Minimal ustar writer: regular files only, names under 100 bytes
+function tarHeader(name, size, mtime) {
+  const h = Buffer.alloc(512);
+  const put = (str, off, len) => h.write(str, off, Math.min(len, Buffer.byteLength(str)), "utf8");
+  const oct = (n, len) => n.toString(8).padStart(len - 1, "0") + "\0";
+  put(name, 0, 100);
+  put(oct(0o644, 8), 100, 8);
+  put(oct(0, 8), 108, 8);
+  put(oct(0, 8), 116, 8);
+  put(oct(size, 12), 124, 12);
+  put(oct(mtime, 12), 136, 12);
+  h.fill(" ", 148, 156); // checksum is computed with its own field as spaces
+  put("0", 156, 1);
+  put("ustar\0" + "00", 257, 8);
+  let sum = 0;
+  for (const b of h) sum += b;
+  put(sum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+  return h;
+}
+
+function tarGz(files) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const parts = [];
+  for (const { name, content } of files) {
+    const body = Buffer.from(content, "utf8");
+    parts.push(tarHeader(name, body.length, mtime), body, Buffer.alloc((512 - (body.length % 512)) % 512));
+  }
+  parts.push(Buffer.alloc(1024)); // two empty blocks end the archive
+  return zlib.gzipSync(Buffer.concat(parts));
+}
+
+////////////
+// Public //
+////////////
+const jsonl = (rows) => rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : "");
+const safeName = (user) => String(user).replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 40) || "user";
+
+// → { filename, data (tar.gz Buffer), counts }
+function exportUser(user) {
+  const d = collect(user);
+  const dir = `aurion-export-${safeName(user)}`;
+  const manifest = { user, exportedAt: new Date().toISOString(), counts: counts(d) };
+  const files = [
+    { name: "manifest.json", content: JSON.stringify(manifest, null, 2) },
+    { name: "conversations.json", content: JSON.stringify(d.conversations, null, 2) },
+    { name: "transcripts.jsonl", content: jsonl(d.transcripts) },
+    { name: "memories.jsonl", content: jsonl(d.memories) },
+    { name: "vectors.jsonl", content: jsonl(d.vectors.map(it => ({ id: it.id, bucket: it.bucket, text: it.text, meta: it.meta, vec: Array.from(it.vec) }))) },
+    { name: "summaries.json", content: JSON.stringify(d.summaries, null, 2) },
+    { name: "profile.json", content: JSON.stringify({ user, facts: d.profile }, null, 2) },
+    { name: "legacy.json", content: JSON.stringify(d.legacy, null, 2) }
+  ].map(f => ({ ...f, name: `${dir}/${f.name}` }));
+  return { filename: `${dir}-${manifest.exportedAt.slice(0, 10)}.tar.gz`, data: tarGz(files), counts: manifest.counts };
+}
+
+// Removes the user from every store → the log entry { at, user, by, counts }
+async function eraseUser(user, { by = null } = {}) {
+  const d = collect(user);
+  const { own } = d;
+
+  writeJSONL(TX_FILE, readJSONL(TX_FILE).filter(r => !own.owns(r.user, r.conv_id)));
+  writeJSONL(MEM_FILE, readJSONL(MEM_FILE).filter(m => !own.owns(m.user, m.convId)));
+
+  const sums = readJSON(SUM_FILE, null);
+  if (sums) {
+    for (const n of d.summaries.conversations) delete sums.conversations[n.convId];
+    if (sums.users) delete sums.users[user];
+    if (sums.notes) sums.notes = sums.notes.filter(n => !own.convIds.has(n.convId));
+    writeJSON(SUM_FILE, sums);
+  }
+  const state = readJSON(STATE_FILE, null);
+  if (state?.conversations) {
+    for (const cid of own.convIds) delete state.conversations[cid];
+    writeJSON(STATE_FILE, state);
+  }
+  const profiles = readJSON(PROFILE_FILE, null);
+  if (profiles?.users?.[user]) {
+    delete profiles.users[user];
+    writeJSON(PROFILE_FILE, profiles);
+  }
+  const convs = readJSON(CONV_FILE, { items: [] });
+  writeJSON(CONV_FILE, { ...convs, items: convs.items.filter(c => !own.convIds.has(c.id)) });
+
+  if (d.legacy.memories.length) writeJSONL(LEGACY_MEMORIES, readJSONL(LEGACY_MEMORIES).filter(m => !own.ownsLegacy(m.content)));
+  for (const f of LEGACY_VECTOR_FILES) {
+    if (!d.legacy.vectors.some(it => it.file === path.basename(f))) continue;
+    const doc = readJSON(f, { items: [] });
+    writeJSON(f, { ...doc, items: doc.items.filter(it => !(own.ownsVector(it) || own.ownsLegacy(it.text))) });
+  }
+
+  fulltext.reset(); // rebuilt from the rewritten files on the next query
+
+  // Rewriting the log drops the removed vectors from disk, not just from the index
+  await vectors.remove(d.vectors.map(it => it.id));
+  await vectors.compact();
+
+  const entry = { at: new Date().toISOString(), user, by, counts: counts(d) };
+  appendJSONL(ERASURE_LOG, entry);
+  return entry;
+}
+
+function erasureLog() { return readJSONL(ERASURE_LOG); }
+
+module.exports = { ERASURE_LOG, exportUser, eraseUser, erasureLog };
@@ -0,0 +1,218 @@
+// /memory/vectorstore.js
+// Append-only vector store with an in-memory index.
+//   - Storage: the "vectors.log" log (storage/: DATA_DIR/vectors.log or SQLite), one JSON op per row;
+//     vectors are base64 Float32 (≈4 bytes/dim).
+//       { op:"add", id, bucket, text, meta, v }   { op:"del", id }
+//   - Memory: loaded once on first use; search never touches disk.
+//   - Writes go through one promise chain, so appends never interleave or overwrite each other.
+//   - Compaction rewrites the log (atomically) once dead ops outnumber live items.
+//   - Optional ANN (AURION_VECTOR_ANN=lsh): random-hyperplane LSH tables narrow the candidate set;
+//     falls back to exact search when too few candidates come back.
+// No size cap: nothing is silently dropped as memory grows.
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, readJSONL, appendJSONL, writeJSONL } = require("./store");
+
+const LOG_FILE = "vectors.log";
+const LEGACY_JSON = path.join(DATA_DIR, "vectors.json"); // pre-log store (whole-file rewrites), always a file
+
+const ANN = String(process.env.AURION_VECTOR_ANN || "").toLowerCase() === "lsh";
+const LSH_TABLES = Number(process.env.AURION_LSH_TABLES || 8);
+const LSH_BITS = Number(process.env.AURION_LSH_BITS || 10);
+
+function toB64(vec) { return Buffer.from(Float32Array.from(vec).buffer).toString("base64"); }
+function fromB64(s) {
+  const b = Buffer.from(s, "base64");
+  // copy out: pooled Buffers aren't guaranteed to start on a 4-byte boundary
+  return new Float32Array(b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength));
+}
+function normOf(v) { let s = 0; for (let i = 0; i < v.length; i++) s += v[i] * v[i]; return Math.sqrt(s) || 1; }
+
+// Deterministic PRNG so hyperplanes are identical across restarts
+function mulberry32(seed) {
+  return () => {
+    seed |= 0; seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+let items = null;     // Map<id, { id, bucket, text, meta, vec: Float32Array, norm }>
+let dead = 0;         // ops in the log that no longer describe a live item
+let queue = Promise.resolve();
+let lsh = null;       // { planes: Float32Array[][], tables: Map<string, Set<id>>[] }
+
+function enqueue(fn) {
+  const next = queue.then(fn, fn);
+  queue = next.catch(e => console.error("[vectors] write failed:", e.message));
+  return next;
+}
+
+function toItem(rec) {
+  const vec = rec.vec ? Float32Array.from(rec.vec) : fromB64(rec.v);
+  return { id: rec.id, bucket: rec.bucket, text: rec.text, meta: rec.meta || {}, vec, norm: normOf(vec) };
+}
+function toOp(it) {
+  return { op: "add", id: it.id, bucket: it.bucket, text: it.text, meta: it.meta, v: toB64(it.vec) };
+}
+
+/////////////
+// LSH ANN //
+/////////////
+function lshInit(dim) {
+  const rand = mulberry32(dim * 7919);
+  const gauss = () => { const u = rand() || 1e-9, w = rand(); return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * w); };
+  const planes = [];
+  for (let t = 0; t < LSH_TABLES; t++) {
+    const row = [];
+    for (let b = 0; b < LSH_BITS; b++) {
+      const p = new Float32Array(dim);
+      for (let i = 0; i < dim; i++) p[i] = gauss();
+      row.push(p);
+    }
+    planes.push(row);
+  }
+  return { dim, planes, tables: planes.map(() => new Map()) };
+}
+function lshKeys(vec) {
+  return lsh.planes.map(row => row.map(p => {
+    let s = 0; for (let i = 0; i < vec.length; i++) s += p[i] * vec[i];
+    return s >= 0 ? "1" : "0";
+  }).join(""));
+}
+function lshAdd(it) {
+  if (!ANN) return;
+  if (!lsh) lsh = lshInit(it.vec.length);
+  if (it.vec.length !== lsh.dim) return; // mixed dims (model change) → exact search only
+  lshKeys(it.vec).forEach((k, t) => {
+    if (!lsh.tables[t].has(k)) lsh.tables[t].set(k, new Set());
+    lsh.tables[t].get(k).add(it.id);
+  });
+}
+function lshRemove(it) {
+  if (!lsh || it.vec.length !== lsh.dim) return;
+  lshKeys(it.vec).forEach((k, t) => lsh.tables[t].get(k)?.delete(it.id));
+}
+function lshCandidates(qvec) {
+  if (!lsh || qvec.length !== lsh.dim) return null;
+  const out = new Set();
+  lshKeys(qvec).forEach((k, t) => { for (const id of lsh.tables[t].get(k) || []) out.add(id); });
+  return out;
+}
+
+//////////////////
+// Load & write //
+//////////////////
+function importLegacyJSON() {
+  let legacy = null;
+  try { legacy = JSON.parse(fs.readFileSync(LEGACY_JSON, "utf8")); } catch { return; }
+  const rows = (legacy.items || []).filter(i => i && Array.isArray(i.vec));
+  writeJSONL(LOG_FILE, rows.map(r => toOp(toItem(r))));
+  fs.renameSync(LEGACY_JSON, LEGACY_JSON + ".imported");
+  console.log(`[vectors] imported ${rows.length} items from vectors.json`);
+}
+
+function open() {
+  if (items) return items;
+  let ops = readJSONL(LOG_FILE);
+  if (!ops.length && fs.existsSync(LEGACY_JSON)) { importLegacyJSON(); ops = readJSONL(LOG_FILE); }
+  items = new Map();
+  dead = 0;
+  for (const op of ops) {
+    if (op.op === "add") {
+      if (items.has(op.id)) dead++;
+      items.set(op.id, toItem(op));
+    } else if (op.op === "del") {
+      if (items.delete(op.id)) dead++;
+      dead++;
+    }
+  }
+  for (const it of items.values()) lshAdd(it);
+  return items;
+}
+
+function appendOps(ops) {
+  return enqueue(() => {
+    appendJSONL(LOG_FILE, ops);
+    if (dead > 1000 && dead > items.size) compact();
+  });
+}
+
+// Rewrite the log with only live items (inside the write queue)
+function compact() {
+  writeJSONL(LOG_FILE, [...items.values()].map(toOp));
+  dead = 0;
+}
+
+////////////
+// Public //
+////////////
+// Insert or replace; resolves once the op is stored
+function put(list) {
+  open();
+  const ops = [];
+  for (const rec of list) {
+    const it = toItem(rec);
+    const prev = items.get(it.id);
+    if (prev) { lshRemove(prev); dead++; }
+    items.set(it.id, it);
+    lshAdd(it);
+    ops.push(toOp(it));
+  }
+  return ops.length ? appendOps(ops) : Promise.resolve();
+}
+
+function remove(ids) {
+  open();
+  const ops = [];
+  for (const id of ids) {
+    const it = items.get(id);
+    if (!it) continue;
+    lshRemove(it);
+    items.delete(id);
+    dead += 2; // the add and this del
+    ops.push({ op: "del", id });
+  }
+  return ops.length ? appendOps(ops) : Promise.resolve();
+}
+
+function has(id) { return open().has(id); }
+function get(id) { return open().get(id) || null; }
+// Live items matching filter(item), e.g. everything one user owns (export / erasure)
+function find(filter) { return [...open().values()].filter(filter); }
+function size() { return open().size; }
+
+// Top-k by cosine. filter(item) narrows the pool; ANN mode only scores LSH candidates
+// (and rescans exactly if those can't fill k after filtering).
+function search(qvec, { k = 5, filter = null } = {}) {
+  open();
+  const q = Float32Array.from(qvec);
+  if (ANN) {
+    const cand = lshCandidates(q);
+    if (cand && cand.size >= k * 4) {
+      const hits = scan(q, [...cand].map(id => items.get(id)).filter(Boolean), k, filter);
+      if (hits.length >= k) return hits;
+    }
+  }
+  return scan(q, items.values(), k, filter);
+}
+
+function scan(q, pool, k, filter) {
+  const qn = normOf(q);
+  const top = [];
+  for (const it of pool) {
+    if (filter && !filter(it)) continue;
+    if (it.vec.length !== q.length) continue;
+    let dot = 0; for (let i = 0; i < q.length; i++) dot += q[i] * it.vec[i];
+    const score = dot / (qn * it.norm);
+    if (top.length < k) { top.push({ it, score }); top.sort((a, b) => b.score - a.score); }
+    else if (score > top[k - 1].score) { top[k - 1] = { it, score }; top.sort((a, b) => b.score - a.score); }
+  }
+  return top.map(({ it, score }) => ({ id: it.id, bucket: it.bucket, text: it.text, meta: it.meta, score }));
+}
+
+// Resolves after every queued write has reached storage
+function flush() { return queue; }
+
+module.exports = { put, remove, has, get, find, size, search, flush, compact: () => enqueue(compact) };
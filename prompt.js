@@ -0,0 +1,185 @@
+// prompt.js — Token-budgeted prompt assembly for /aurion/chat
+// The prompt budget is the model's context window minus room for the reply and for tool results
+// (AURION_PROMPT_BUDGET caps it further). After the fixed instructions, the rest is shared out:
+//   core 30% · memory 15% · history 40% · user message 15%
+// A section that needs less than its share hands the remainder on (user → core → history → memory).
+// Over budget, each section gives up its least important material first:
+//   core    → lowest-priority directives are dropped
+//   memory  → lower-ranked bullets that no longer fit are dropped; each bullet is capped. Profile facts about
+//             the user (memory/profile.js) share this section; when it is tight they get at most half
+//   history → the conversation summary (turns before `history`, memory/summarizer.js) goes first, trimmed to at
+//             most half the share; then the oldest turns are dropped and condensed into a short digest
+//   user    → the message is truncated (the tail is cut)
+// buildPrompt() returns the messages plus a report of what went in and what was left out.
+const { contextWindow, countTokens, countMessages, truncateToTokens } = require('./llm/tokens');
+
+const SHARES = { core: 0.30, memory: 0.15, history: 0.40, user: 0.15 };
+const SPILL_ORDER = ['user', 'core', 'history', 'memory'];
+const TOOL_RESERVE = Number(process.env.AURION_PROMPT_TOOL_RESERVE || 2000);
+const MEMORY_ITEM_TOKENS = 80;
+const DIGEST_LINE_TOKENS = 30;
+
+function promptBudget(model, maxReply) {
+  const window = contextWindow(model);
+  const ceiling = Math.max(512, window - maxReply - TOOL_RESERVE);
+  const cap = Number(process.env.AURION_PROMPT_BUDGET);
+  return { window, budget: cap > 0 ? Math.min(cap, ceiling) : ceiling };
+}
+
+// Split `remaining` tokens across sections by share, then spill what a section doesn't need
+function allocate(want, remaining) {
+  const alloc = {};
+  let spare = remaining;
+  for (const k of Object.keys(SHARES)) {
+    alloc[k] = Math.min(want[k], Math.floor(remaining * SHARES[k]));
+    spare -= alloc[k];
+  }
+  for (const k of SPILL_ORDER) {
+    const extra = Math.max(0, Math.min(spare, want[k] - alloc[k]));
+    alloc[k] += extra;
+    spare -= extra;
+  }
+  return alloc;
+}
+
+// compose(coreDirectives, memoryLines, earlier, profileLines) → system prompt text (the template stays in server.js)
+// core: enabled directives · memory: bullets, most important first · profile: facts about the user, most
+// important first · summary: notes on the turns before `history`
+// history: [{ role, content }] oldest → newest, without the current message · user: the current message
+function buildPrompt({ model, maxReply = 900, compose, core = [], memory = [], profile = [], summary = null, history = [], user = '' }) {
+  const { window, budget } = promptBudget(model, maxReply);
+  const tok = (s) => countTokens(s, model);
+  const fixed = countMessages([{ role: 'system', content: compose([], [], null) }, { role: 'user', content: '' }], model);
+
+  const coreCost = (d) => tok(d.text) + 3;
+  const memItems = memory.map(m => truncateToTokens(m, MEMORY_ITEM_TOKENS, model)).filter(Boolean);
+  const memCost = (m) => tok(m) + 2;
+  const profItems = profile.map(f => truncateToTokens(f, MEMORY_ITEM_TOKENS, model)).filter(Boolean);
+  const profHeader = profItems.length ? tok('ABOUT THIS USER (profile facts):') + 2 : 0;
+  const turnCost = (t) => tok(t.content) + 4;
+  const want = {
+    core: core.reduce((n, d) => n + coreCost(d), 0) + new Set(core.map(d => d.category)).size * 6,
+    memory: memItems.reduce((n, m) => n + memCost(m), 0) + profHeader + profItems.reduce((n, f) => n + memCost(f), 0),
+    history: history.reduce((n, t) => n + turnCost(t), 0) + (summary ? tok(summary) + 2 : 0),
+    user: tok(user)
+  };
+  const alloc = allocate(want, Math.max(0, budget - fixed));
+
+  // Core: highest priority first until the share is used; keep the saved order for what stays
+  const keep = new Set();
+  const seen = new Set();
+  let coreUsed = 0;
+  for (const d of [...core].sort((a, b) => b.priority - a.priority)) {
+    const cost = coreCost(d) + (seen.has(d.category) ? 0 : 6);
+    if (coreUsed + cost > alloc.core) continue;
+    coreUsed += cost;
+    seen.add(d.category);
+    keep.add(d);
+  }
+  const coreIn = core.filter(d => keep.has(d));
+
+  // Profile: most important first; when memory is short of room, within half its share
+  const profRoom = want.memory > alloc.memory ? Math.floor(alloc.memory / 2) : alloc.memory;
+  const profIn = [];
+  let profUsed = 0;
+  for (const f of profItems) {
+    const cost = memCost(f) + (profIn.length ? 0 : profHeader);
+    if (profUsed + cost > profRoom) continue;
+    profUsed += cost;
+    profIn.push(f);
+  }
+
+  // Memory: in rank order, in what the profile left
+  const memIn = [];
+  let memUsed = profUsed;
+  for (const m of memItems) {
+    if (memUsed + memCost(m) > alloc.memory) continue;
+    memUsed += memCost(m);
+    memIn.push(m);
+  }
+
+  // User message: truncated only if it can't fit even after spill-over
+  let userText = user;
+  const truncated = tok(user) > alloc.user;
+  if (truncated) userText = truncateToTokens(user, Math.max(0, alloc.user - 8), model) + ' […message truncated]';
+
+  // History: the summary first, then turns newest first; one long turn may take at most half of what is left.
+  // When not every turn fits, a fifth of the share is held back for a digest of the dropped ones.
+  const tight = want.history > alloc.history;
+  const summaryText = summary ? truncateToTokens(summary, tight ? Math.floor(alloc.history / 2) : alloc.history, model) : null;
+  const summaryUsed = summaryText ? tok(summaryText) + 2 : 0;
+  const turnBudget = (tight ? Math.floor(alloc.history * 0.8) : alloc.history) - summaryUsed;
+  const perTurn = Math.max(64, Math.floor(turnBudget / 2));
+  const histIn = [];
+  let histUsed = 0;
+  let cut = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const t = history[i];
+    const content = tok(t.content) > perTurn ? truncateToTokens(t.content, perTurn - 4, model) + ' […]' : t.content;
+    const cost = turnCost({ content });
+    if (histUsed + cost > turnBudget) break;
+    histUsed += cost;
+    histIn.unshift({ role: t.role, content });
+    cut = i;
+  }
+  const dropped = history.slice(0, cut);
+
+  // Dropped turns → a digest of the most recent of them, after the summary
+  let digest = null;
+  if (dropped.length) {
+    const room = alloc.history - summaryUsed - histUsed;
+    const lines = [];
+    let used = 0;
+    for (let i = dropped.length - 1; i >= 0; i--) {
+      const t = dropped[i];
+      const line = `${t.role === 'user' ? 'U' : 'A'}: ${truncateToTokens(t.content.replace(/\s+/g, ' '), DIGEST_LINE_TOKENS, model)}`;
+      if (used + tok(line) + 2 > room) break;
+      used += tok(line) + 2;
+      lines.unshift(`- ${line}`);
+    }
+    if (lines.length) digest = lines.join('\n');
+  }
+  const earlier = [summaryText, digest].filter(Boolean).join('\n') || null;
+  const condensed = [summaryText && 'summary', digest && 'digest'].filter(Boolean).join('+') || null;
+
+  const system = compose(coreIn, memIn, earlier, profIn);
+  const messages = [{ role: 'system', content: system }, ...histIn, { role: 'user', content: userText }];
+  const report = {
+    model, window, budget,
+    reserved: { reply: maxReply, tools: TOOL_RESERVE },
+    total: countMessages(messages, model),
+    sections: {
+      instructions: { tokens: fixed },
+      core: { tokens: coreUsed, budget: alloc.core, included: coreIn.length, dropped: core.filter(d => !keep.has(d)).map(d => d.id) },
+      memory: { tokens: memUsed - profUsed, budget: alloc.memory, included: memIn.length, dropped: memItems.length - memIn.length },
+      profile: { tokens: profUsed, included: profIn.length, dropped: profItems.length - profIn.length },
+      history: {
+        tokens: histUsed, budget: alloc.history, included: histIn.length, dropped: dropped.length,
+        condensed, condensedTokens: earlier ? tok(earlier) : 0, summaryTrimmed: !!summary && summaryText !== summary
+      },
+      user: { tokens: tok(userText), budget: alloc.user, truncated }
+    }
+  };
+  return { messages, report };
+}
+
+// Keeps a growing tool-loop message list inside the window: the oldest tool results are shortened first
+// → number of tool results shortened
+function fitToolResults(messages, { model, maxReply = 900 }) {
+  const limit = contextWindow(model) - maxReply;
+  let over = countMessages(messages, model) - limit;
+  let shortened = 0;
+  for (const m of messages) {
+    if (over <= 0) break;
+    if (m.role !== 'tool') continue;
+    const have = countTokens(m.content, model);
+    const keepTokens = Math.max(32, have - over);
+    if (keepTokens >= have) continue;
+    m.content = truncateToTokens(m.content, keepTokens, model) + ' […tool output shortened to fit the context]';
+    over -= have - countTokens(m.content, model);
+    shortened++;
+  }
+  return shortened;
+}
+
+module.exports = { buildPrompt, fitToolResults, promptBudget };
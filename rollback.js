@@ -1,27 +1,55 @@
-// rollback.js
-const fs = require("fs");
-const path = require("path");
+// rollback.js — revert an applied self-edit from the command line (server not required)
+//   node rollback.js                 → revert the latest self-edit on the branch that isn't reverted yet
+//   node rollback.js <proposal-id>   → revert that proposal's commit
+//   node rollback.js <commit>        → revert that commit
+// Same mechanics as POST /selfedit/rollback: a revert commit on the self-edit branch (selfedit/git.js),
+// and the proposal record in storage (storage/: AURION_STORAGE) is marked rolled_back when it exists.
+const selfGit = require("./selfedit/git");
+const storage = require("./storage");
 
-const BACKUP_DIR = "/var/data/aurion/backups";
-const TARGET_FILE = "server.js";
+// Walks the branch newest-first; a revert cancels the closest older apply of the same proposal
+async function liveEdits() {
+  const pending = new Map(); // id → reverts not yet matched to an apply
+  const live = [];
+  for (const e of await selfGit.log(500)) {
+    const rev = e.subject.match(/^Revert self-edit #([^:]+):/)?.[1];
+    if (rev) { pending.set(rev, (pending.get(rev) || 0) + 1); continue; }
+    const id = e.subject.match(/^Self-edit #([^:]+):/)?.[1];
+    if (!id) continue;
+    if (pending.get(id)) { pending.set(id, pending.get(id) - 1); continue; }
+    live.push({ id, commit: e.commit, subject: e.subject });
+  }
+  return live;
+}
 
-function listBackups() {
-  const files = fs.readdirSync(BACKUP_DIR).sort();
-  return files;
+async function pickTarget(arg) {
+  const live = await liveEdits();
+  if (!arg) {
+    if (!live.length) throw new Error(`No un-reverted self-edits on ${selfGit.BRANCH}`);
+    return live[0];
+  }
+  const t = live.find(x => x.id === arg || x.commit.startsWith(arg));
+  if (!t) throw new Error(`No un-reverted self-edit found for ${arg}`);
+  return t;
 }
 
-function restoreLatest() {
-  const backups = listBackups();
-  if (backups.length === 0) {
-    console.error("No backups found.");
-    process.exit(1);
+async function main() {
+  const target = await pickTarget(process.argv[2]);
+  const goal = target.subject.replace(/^Self-edit #[^:]+:\s*/, "");
+  const { commit, files } = await selfGit.revert(target.commit, selfGit.revertMessage({
+    id: target.id, goal, commit: target.commit, reason: "rollback.js"
+  }));
+
+  const proposals = storage.records("proposals");
+  const record = proposals.get(target.id);
+  if (record) {
+    record.status = "rolled_back";
+    record.rollback = { at: new Date().toISOString(), commit, files, reason: "rollback.js" };
+    proposals.put(target.id, record);
   }
-  const latest = backups[backups.length - 1];
-  const src = path.join(BACKUP_DIR, latest);
-  fs.copyFileSync(src, TARGET_FILE);
-  console.log(`✅ Restored from backup: ${latest}`);
+  console.log(`✅ Reverted self-edit #${target.id} (${target.commit.slice(0, 12)}) with ${commit.slice(0, 12)}: ${files.join(", ")}`);
 }
 
 if (require.main === module) {
-  restoreLatest();
+  main().catch(e => { console.error(`Rollback failed: ${e.message}`); process.exit(1); });
 }
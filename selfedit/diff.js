@@ -0,0 +1,123 @@
+// /selfedit/diff.js
+// Line diff (Myers, O((N+M)·D)) → unified-diff hunks and text, for reviewing self-edit proposals.
+//   diffLines(a, b)            → [{ type: " " | "-" | "+", text, oldNo, newNo }]
+//   hunks(ops, context = 3)    → [{ oldStart, oldLines, newStart, newLines, lines: ops[] }]
+//   unifiedDiff(path, before, after) → { diff, hunks, added, removed }
+// `before`/`after` are file contents; null means the file doesn't exist on that side.
+
+function splitLines(s) {
+  if (s == null || s === "") return [];
+  const lines = String(s).split("\n");
+  if (lines[lines.length - 1] === "") lines.pop(); // trailing newline isn't a line
+  return lines;
+}
+
+// Shortest edit script between two line arrays
+function myers(a, b) {
+  const n = a.length, m = b.length, max = n + m;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+  const off = max + 1;
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, off);
+    }
+  }
+  return [];
+}
+
+function backtrack(trace, a, b, off) {
+  const ops = [];
+  let x = a.length, y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[off + prevK], prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push({ type: " ", ai: x - 1, bi: y - 1 }); x--; y--; }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: "+", bi: y - 1 });
+      else ops.push({ type: "-", ai: x - 1 });
+    }
+    x = prevX; y = prevY;
+  }
+  return ops.reverse();
+}
+
+function diffLines(before, after) {
+  const a = splitLines(before), b = splitLines(after);
+  // Trim the common head/tail first: self-edits are usually small changes to big files
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const mid = myers(a.slice(head, a.length - tail), b.slice(head, b.length - tail));
+
+  const out = [];
+  for (let i = 0; i < head; i++) out.push({ type: " ", text: a[i], oldNo: i + 1, newNo: i + 1 });
+  for (const op of mid) {
+    if (op.type === " ") out.push({ type: " ", text: a[head + op.ai], oldNo: head + op.ai + 1, newNo: head + op.bi + 1 });
+    else if (op.type === "-") out.push({ type: "-", text: a[head + op.ai], oldNo: head + op.ai + 1, newNo: null });
+    else out.push({ type: "+", text: b[head + op.bi], oldNo: null, newNo: head + op.bi + 1 });
+  }
+  for (let i = tail; i > 0; i--) {
+    out.push({ type: " ", text: a[a.length - i], oldNo: a.length - i + 1, newNo: b.length - i + 1 });
+  }
+  return out;
+}
+
+// Group changes with `context` unchanged lines around them
+function hunks(ops, context = 3) {
+  const out = [];
+  let cur = null, lastChange = -Infinity;
+  ops.forEach((op, i) => {
+    if (op.type === " ") return;
+    const from = Math.max(0, i - context);
+    if (cur && from <= lastChange + context + 1) {
+      for (let j = lastChange + 1; j <= i; j++) cur.lines.push(ops[j]);
+    } else {
+      if (cur) close(cur, ops, lastChange, context);
+      cur = { lines: ops.slice(from, i + 1) };
+      out.push(cur);
+    }
+    lastChange = i;
+  });
+  if (cur) close(cur, ops, lastChange, context);
+  for (const h of out) {
+    const first = h.lines[0];
+    h.oldLines = h.lines.filter(l => l.type !== "+").length;
+    h.newLines = h.lines.filter(l => l.type !== "-").length;
+    h.oldStart = h.oldLines ? (h.lines.find(l => l.oldNo != null)?.oldNo ?? 0) : Math.max(0, (first.newNo ?? 1) - 1);
+    h.newStart = h.newLines ? (h.lines.find(l => l.newNo != null)?.newNo ?? 0) : Math.max(0, (first.oldNo ?? 1) - 1);
+  }
+  return out;
+}
+function close(h, ops, lastChange, context) {
+  for (let j = lastChange + 1; j < Math.min(ops.length, lastChange + 1 + context); j++) h.lines.push(ops[j]);
+}
+
+function unifiedDiff(file, before, after, context = 3) {
+  const ops = diffLines(before, after);
+  const hs = hunks(ops, context);
+  const header = [
+    `--- ${before == null ? "/dev/null" : "a/" + file}`,
+    `+++ ${after == null ? "/dev/null" : "b/" + file}`
+  ];
+  const body = hs.flatMap(h => [
+    `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`,
+    ...h.lines.map(l => l.type + l.text)
+  ]);
+  return {
+    diff: hs.length ? [...header, ...body].join("\n") + "\n" : "",
+    hunks: hs,
+    added: ops.filter(o => o.type === "+").length,
+    removed: ops.filter(o => o.type === "-").length
+  };
+}
+
+module.exports = { diffLines, hunks, unifiedDiff };
@@ -0,0 +1,172 @@
+// /selfedit/fence.js
+// The write fence: the one place that decides which files a self-edit may touch.
+// Used by every writer (approve, validate, /selfedit/propose, reason-core, addon-forge).
+//
+// Policy file: AURION_FENCE_FILE (default selfedit/fence.json), re-read when it changes:
+//   { allow: [globs], deny: [globs], actions: { <action>: { allow?: [globs], deny?: [globs] } } }
+// A path must be canonical (no "..", ".", "\", absolute or doubled slashes), must not resolve outside the
+// project through a symlink, must match a global allow glob and no deny glob, and must pass the rules of
+// its action (deny wins; an action allow list narrows the global one).
+// Globs: "*" = within one segment, "**" = any depth, "?" = one character.
+// Every denied write is appended to AURION_FENCE_AUDIT (default DATA_DIR/fence-audit.jsonl, a plain file).
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("../storage");
+
+const POLICY_FILE = path.resolve(process.env.AURION_FENCE_FILE || path.join(__dirname, "fence.json"));
+const AUDIT_FILE = process.env.AURION_FENCE_AUDIT || path.join(DATA_DIR, "fence-audit.jsonl");
+
+function globToRegExp(glob) {
+  let rx = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") { i++; rx += "(?:.*/)?"; } else rx += ".*";
+    } else if (c === "*") rx += "[^/]*";
+    else if (c === "?") rx += "[^/]";
+    else rx += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${rx}$`);
+}
+
+function compileList(list, where) {
+  if (list == null) return null;
+  if (!Array.isArray(list) || !list.every(g => typeof g === "string" && g)) throw new Error(`${where} must be an array of globs`);
+  return list.map(glob => ({ glob, rx: globToRegExp(glob) }));
+}
+
+function compile(raw) {
+  const actions = {};
+  for (const [name, rules] of Object.entries(raw.actions || {})) {
+    actions[name] = { allow: compileList(rules?.allow, `actions.${name}.allow`), deny: compileList(rules?.deny, `actions.${name}.deny`) || [] };
+  }
+  return { raw, allow: compileList(raw.allow || [], "allow"), deny: compileList(raw.deny, "deny") || [], actions };
+}
+
+let cached = { mtimeMs: -1, policy: null, error: null };
+// Current policy; a missing or broken file fails closed (every write denied, with the reason)
+function policy() {
+  let mtimeMs;
+  try { mtimeMs = fs.statSync(POLICY_FILE).mtimeMs; }
+  catch { return { policy: null, error: `Fence policy not found: ${POLICY_FILE}` }; }
+  if (mtimeMs !== cached.mtimeMs) {
+    try { cached = { mtimeMs, policy: compile(JSON.parse(fs.readFileSync(POLICY_FILE, "utf8"))), error: null }; }
+    catch (e) {
+      cached = { mtimeMs, policy: null, error: `Fence policy is invalid: ${e.message}` };
+      console.error("[fence]", cached.error);
+    }
+  }
+  return cached;
+}
+
+function canonical(target) {
+  const raw = String(target ?? "");
+  if (!raw || raw.includes("\0")) return { error: "empty or invalid path" };
+  if (raw.includes("\\")) return { error: "backslashes are not allowed in paths" };
+  if (path.posix.isAbsolute(raw) || /^[a-zA-Z]:/.test(raw)) return { error: "absolute paths are not allowed" };
+  const norm = path.posix.normalize(raw);
+  if (norm === ".." || norm.startsWith("../")) return { error: "path escapes the project root" };
+  if (norm !== raw || norm === "." || norm.endsWith("/")) return { error: `non-canonical path (use "${norm.replace(/\/$/, "")}")` };
+  return { path: norm };
+}
+
+// True when the file (or its nearest existing ancestor) resolves outside root through a symlink
+function escapesRoot(rel, root) {
+  let realRoot;
+  try { realRoot = fs.realpathSync(root); } catch { return false; }
+  let p = path.join(root, rel);
+  for (;;) {
+    try { fs.lstatSync(p); break; }
+    catch { if (p === path.dirname(p)) return true; p = path.dirname(p); }
+  }
+  let real;
+  try { real = fs.realpathSync(p); } catch { return true; } // dangling symlink
+  return real !== realRoot && !real.startsWith(realRoot + path.sep);
+}
+
+const firstMatch = (list, p) => list.find(r => r.rx.test(p));
+
+// → { ok: true, path } | { ok: false, target, action, rule, reason }
+function check(target, { action = "write", root = process.cwd() } = {}) {
+  const deny = (rule, reason) => ({ ok: false, target: String(target ?? ""), action, rule, reason });
+  const { policy: pol, error } = policy();
+  if (!pol) return deny("policy", error);
+  const c = canonical(target);
+  if (c.error) return deny("path", c.error);
+  const rel = c.path;
+
+  const rules = pol.actions[action] || { allow: null, deny: [] };
+  const denied = firstMatch(pol.deny, rel) || firstMatch(rules.deny, rel);
+  if (denied) return deny(`deny:${denied.glob}`, `${rel} matches deny rule "${denied.glob}"`);
+  if (!firstMatch(pol.allow, rel)) return deny("allow", `${rel} is outside the allowed paths (${pol.raw.allow.join(", ")})`);
+  if (rules.allow && !firstMatch(rules.allow, rel)) {
+    return deny(`actions.${action}.allow`, `${action} is only allowed on ${rules.allow.map(r => r.glob).join(", ")}`);
+  }
+  if (escapesRoot(rel, root)) return deny("symlink", `${rel} resolves outside the project through a symlink`);
+  return { ok: true, path: rel };
+}
+
+function audit(denial, source) {
+  const row = { at: new Date().toISOString(), source: source || "unknown", ...denial };
+  delete row.ok;
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(row) + "\n", "utf8");
+  } catch (e) {
+    console.error("[fence] audit write failed:", e.message);
+  }
+  console.warn(`[fence] denied ${denial.action} ${denial.target} (${source}): ${denial.reason}`);
+}
+
+// Throws (status 403) when the write is denied; the denial is audited unless audit is false
+function assertWritable(target, { action, root, source, audit: doAudit = true } = {}) {
+  const r = check(target, { action, root });
+  if (r.ok) return r.path;
+  if (doAudit) audit(r, source);
+  throw Object.assign(new Error(`Write fence: ${r.reason}`), { status: 403, fence: r });
+}
+
+// Every target a patch writes, with the action it is checked under (a rename writes both ends)
+function patchTargets(patch) {
+  const action = String(patch?.action || "write");
+  return patch?.action === "rename" ? [[patch.target, action], [patch.to, action]] : [[patch?.target, action]];
+}
+
+// Denials for a list of patches → [{ patch, target, action, rule, reason }] (empty = all allowed)
+function checkPatches(patches, { source, root, audit: doAudit = true } = {}) {
+  const out = [];
+  (patches || []).forEach((patch, i) => {
+    for (const [target, action] of patchTargets(patch)) {
+      const r = check(target, { action, root });
+      if (r.ok) continue;
+      if (doAudit) audit(r, source);
+      const { ok, ...rest } = r;
+      out.push({ patch: i, ...rest });
+    }
+  });
+  return out;
+}
+
+// One-line summary for LLM prompts
+function describe() {
+  const { policy: pol, error } = policy();
+  if (!pol) return `Write fence: ${error}; no file may be written.`;
+  const parts = [`targets must match ${pol.raw.allow.join(", ")}`];
+  if (pol.raw.deny?.length) parts.push(`never ${pol.raw.deny.join(", ")}`);
+  for (const [name, r] of Object.entries(pol.raw.actions || {})) {
+    if (r.allow) parts.push(`${name} only on ${r.allow.join(", ")}`);
+    if (r.deny?.length) parts.push(`no ${name} on ${r.deny.join(", ")}`);
+  }
+  return `Write fence: ${parts.join("; ")}.`;
+}
+
+// Most recent denials, newest last
+function auditTail(n = 50) {
+  try {
+    const lines = fs.readFileSync(AUDIT_FILE, "utf8").split("\n").filter(Boolean);
+    return lines.slice(-n).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  } catch { return []; }
+}
+
+module.exports = { POLICY_FILE, AUDIT_FILE, policy, check, assertWritable, checkPatches, describe, auditTail, globToRegExp };
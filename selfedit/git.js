@@ -0,0 +1,168 @@
+// /selfedit/git.js
+// Git-backed history for self-edits. Approved proposals become commits on a dedicated branch
+// (AURION_SELFEDIT_BRANCH, default "aurion/self-edit") in the repo the server runs from.
+//   - Commits are built with plumbing and a throwaway index (GIT_INDEX_FILE), so the checked-out
+//     branch, the real index and anything the operator has staged are never touched.
+//   - The branch starts at HEAD the first time it is needed and then only moves forward.
+//   - Rollback = a revert commit: the edit's diff is reverse-applied to the working tree, then committed.
+// All git calls go through one queue so two approvals can't race on the branch ref.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+
+const BRANCH = process.env.AURION_SELFEDIT_BRANCH || "aurion/self-edit";
+const REF = `refs/heads/${BRANCH}`;
+const AUTHOR = {
+  name: process.env.AURION_GIT_NAME || "Aurion",
+  email: process.env.AURION_GIT_EMAIL || "aurion@localhost"
+};
+const MAX_DIFF = 200 * 1024;
+
+function git(args, { env = {}, input = null, cwd = process.cwd() } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile("git", args, {
+      cwd, env: { ...process.env, ...env }, maxBuffer: 16 * 1024 * 1024
+    }, (err, stdout, stderr) => {
+      if (err) return reject(Object.assign(new Error(`git ${args[0]} failed: ${String(stderr || err.message).trim()}`), { stderr }));
+      resolve(stdout);
+    });
+    if (input != null) child.stdin.end(input);
+  });
+}
+
+let queue = Promise.resolve();
+function enqueue(fn) {
+  const next = queue.then(fn, fn);
+  queue = next.catch(() => {});
+  return next;
+}
+
+let toplevel = null;
+// Repo root; throws a 409 when the server isn't running from a git work tree
+async function repoRoot() {
+  if (toplevel) return toplevel;
+  try {
+    toplevel = (await git(["rev-parse", "--show-toplevel"])).trim();
+  } catch {
+    throw Object.assign(new Error("Self-edit needs a git repository: run the server from a git work tree (git init && git commit)"), { status: 409 });
+  }
+  return toplevel;
+}
+
+// Repo-relative, forward-slash path for a target given relative to the server's cwd
+async function repoPath(target) {
+  const root = await repoRoot();
+  return path.relative(root, path.resolve(process.cwd(), target)).replaceAll("\\", "/");
+}
+
+async function tip() {
+  try { return (await git(["rev-parse", "--verify", "-q", REF])).trim(); }
+  catch {
+    const head = (await git(["rev-parse", "--verify", "HEAD"]).catch(() => "")).trim();
+    if (!head) throw Object.assign(new Error("Self-edit needs at least one commit in the repository"), { status: 409 });
+    await git(["update-ref", REF, head, ""]);
+    return head;
+  }
+}
+
+// Commit the working-tree state of `targets` (missing file = deletion) onto the branch → commit hash
+function commitFiles(targets, message) {
+  return enqueue(async () => {
+    const root = await repoRoot();
+    const parent = await tip();
+    const index = path.join(os.tmpdir(), `aurion-index-${crypto.randomBytes(6).toString("hex")}`);
+    const env = {
+      GIT_INDEX_FILE: index,
+      GIT_AUTHOR_NAME: AUTHOR.name, GIT_AUTHOR_EMAIL: AUTHOR.email,
+      GIT_COMMITTER_NAME: AUTHOR.name, GIT_COMMITTER_EMAIL: AUTHOR.email
+    };
+    try {
+      await git(["read-tree", parent], { env, cwd: root });
+      for (const t of [...new Set(targets)]) {
+        const rel = await repoPath(t);
+        const abs = path.join(root, rel);
+        if (!fs.existsSync(abs)) {
+          await git(["update-index", "--force-remove", "--", rel], { env, cwd: root });
+          continue;
+        }
+        const blob = (await git(["hash-object", "-w", "--", rel], { cwd: root })).trim();
+        const mode = (fs.statSync(abs).mode & 0o111) ? "100755" : "100644";
+        await git(["update-index", "--add", "--cacheinfo", `${mode},${blob},${rel}`], { env, cwd: root });
+      }
+      const tree = (await git(["write-tree"], { env, cwd: root })).trim();
+      const parentTree = (await git(["rev-parse", `${parent}^{tree}`], { cwd: root })).trim();
+      if (tree === parentTree) throw Object.assign(new Error("Nothing to commit: the patches left the files unchanged"), { status: 409 });
+      const commit = (await git(["commit-tree", tree, "-p", parent, "-F", "-"], { env, cwd: root, input: message })).trim();
+      await git(["update-ref", REF, commit, parent], { cwd: root });
+      return commit;
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+  });
+}
+
+// Files a commit touched (repo-relative)
+async function changedFiles(commit) {
+  const out = await git(["diff-tree", "--no-commit-id", "--name-only", "-r", `${commit}^`, commit], { cwd: await repoRoot() });
+  return out.split("\n").filter(Boolean);
+}
+
+// Undo `commit` in the working tree and record that as a revert commit on the branch → { commit, files }
+// Refuses (409) when later changes to the same lines make the reverse patch not apply cleanly.
+async function revert(commit, message) {
+  const root = await repoRoot();
+  const patch = await git(["diff", "--binary", `${commit}^`, commit], { cwd: root });
+  if (!patch.trim()) throw Object.assign(new Error(`Commit ${commit.slice(0, 12)} has no changes to revert`), { status: 409 });
+  try {
+    await git(["apply", "-R", "--check", "-"], { cwd: root, input: patch });
+  } catch (e) {
+    throw Object.assign(new Error(`Cannot revert ${commit.slice(0, 12)} cleanly: ${e.message}`), { status: 409 });
+  }
+  await git(["apply", "-R", "-"], { cwd: root, input: patch });
+  const files = await changedFiles(commit);
+  const targets = files.map(f => path.relative(process.cwd(), path.join(root, f)));
+  return { commit: await commitFiles(targets, message), files };
+}
+
+// Unified diff of one commit against its parent (capped)
+async function show(commit) {
+  const out = await git(["show", "--format=", "--patch", "--stat", commit], { cwd: await repoRoot() });
+  return out.length > MAX_DIFF ? out.slice(0, MAX_DIFF) + `\n…[diff truncated at ${MAX_DIFF} bytes]` : out;
+}
+
+// Recent branch commits → [{ commit, subject, date }]
+async function log(n = 20) {
+  await tip();
+  const out = await git(["log", REF, `-n${Number(n) || 20}`, "--format=%H%x09%cI%x09%s"], { cwd: await repoRoot() });
+  return out.split("\n").filter(Boolean).map(l => {
+    const [commit, date, ...subject] = l.split("\t");
+    return { commit, date, subject: subject.join("\t") };
+  });
+}
+
+function editMessage({ id, goal, rationale }) {
+  return [
+    `Self-edit #${id}: ${String(goal || "(no goal)").replace(/\s+/g, " ").slice(0, 200)}`,
+    "",
+    rationale ? String(rationale).trim() + "\n" : null,
+    `Proposal: ${id}`
+  ].filter(l => l != null).join("\n") + "\n";
+}
+
+function revertMessage({ id, goal, commit, reason }) {
+  return [
+    `Revert self-edit #${id}: ${String(goal || "").replace(/\s+/g, " ").slice(0, 200)}`,
+    "",
+    `This reverts commit ${commit}.`,
+    reason ? `Reason: ${String(reason).trim()}` : null,
+    "",
+    `Proposal: ${id}`
+  ].filter(l => l != null).join("\n") + "\n";
+}
+
+module.exports = {
+  BRANCH, repoRoot, commitFiles, revert, show, changedFiles, log,
+  editMessage, revertMessage
+};
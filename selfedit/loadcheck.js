@@ -0,0 +1,54 @@
+// /selfedit/loadcheck.js
+// Child-process harness used by validation: loads add-on files the way addons.js would and reports
+// what they register. Runs inside the sandbox copy, so it never touches the live server's state.
+//   node selfedit/loadcheck.js addons/a.js [addons/b.js ...]   → one JSON line: [{ file, ok, error?, routes, tools }]
+// The ctx mirrors addons.js, but capabilities are stubs: register() may wire things up, not call out.
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+function manifestFor(file) {
+  try {
+    const reg = JSON.parse(fs.readFileSync(path.join("addons", "registry.json"), "utf8"));
+    return (reg.addons || []).find(e => e && e.file === path.basename(file)) || null;
+  } catch { return null; }
+}
+
+function stub(label) {
+  return new Proxy({}, { get: (_t, key) => () => { throw new Error(`${label}.${String(key)} is not available during validation`); } });
+}
+
+function check(file) {
+  const manifest = manifestFor(file);
+  const out = { file, ok: false, manifest: !!manifest, routes: 0, tools: [] };
+  try {
+    const mod = require(path.resolve(file));
+    if (typeof mod.register !== "function") throw new Error("module has no register(ctx)");
+    const router = express.Router();
+    const name = manifest?.name || path.basename(file, ".js");
+    mod.register(Object.freeze({
+      name,
+      version: manifest?.version || "0.0.0",
+      manifest: Object.freeze({ ...(manifest || {}) }),
+      router,
+      env: Object.freeze({}),
+      log: () => {},
+      fs: stub("fs"), llm: stub("llm"), memory: stub("memory"), fence: stub("fence"), sandbox: stub("sandbox"),
+      registerTool: (spec) => {
+        if (!spec || typeof spec.handler !== "function") throw new Error(`tool ${spec?.name} needs a handler`);
+        out.tools.push(spec.name);
+      }
+    }));
+    out.routes = router.stack.length;
+    out.ok = true;
+  } catch (e) {
+    out.error = String(e.message || e);
+  }
+  return out;
+}
+
+if (require.main === module) {
+  const results = process.argv.slice(2).map(check);
+  process.stdout.write(JSON.stringify(results) + "\n");
+  process.exit(0); // add-ons may leave timers/handles open
+}
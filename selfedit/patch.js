@@ -0,0 +1,265 @@
+// /selfedit/patch.js
+// JSON patch format used by self-edit proposals, applied against a root directory
+// (the live tree on approve, a throwaway copy on validate).
+//   { target, action, ...fields }
+//     create { snippet }             delete {}                     rename { to }
+//     replace { find, replace }       (first literal match)
+//     regexReplace { pattern, flags?, replace, count? }  (all matches; count = expected number)
+//     replaceLines { startLine, endLine, snippet }       (1-based, inclusive)
+//     append { snippet }              insertAfter / insertBefore { anchor, snippet }
+//     jsonSet { path, value }         jsonMerge { path?, value }  (JSON Pointer; "/list/-" appends)
+// Every target goes through the write fence (selfedit/fence.js) before anything is read or written.
+const fs = require("fs");
+const path = require("path");
+const fence = require("./fence");
+
+const ACTIONS = [
+  "create", "delete", "rename", "replace", "regexReplace", "replaceLines",
+  "append", "insertAfter", "insertBefore", "jsonSet", "jsonMerge"
+];
+
+function isValidPatch(p) {
+  return p && typeof p.target === "string" && ACTIONS.includes(p.action);
+}
+
+// JSON Pointer (RFC 6901): "" is the whole document, "/addons/0/enabled" a member; "-" = past the end of an array
+function parsePointer(ptr) {
+  if (ptr === "" || ptr == null) return [];
+  if (typeof ptr !== "string" || !ptr.startsWith("/")) throw new Error(`Invalid JSON pointer: ${ptr}`);
+  return ptr.slice(1).split("/").map(t => t.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function isPlainObject(v) { return v !== null && typeof v === "object" && !Array.isArray(v); }
+
+// Container at `tokens` (must already exist)
+function walkPointer(doc, tokens, ptr) {
+  let node = doc;
+  for (const t of tokens) {
+    const next = Array.isArray(node) ? (/^(0|[1-9]\d*)$/.test(t) ? node[Number(t)] : undefined)
+      : isPlainObject(node) ? node[t] : undefined;
+    if (next === undefined) throw new Error(`JSON pointer not found: ${ptr}`);
+    node = next;
+  }
+  return node;
+}
+
+function jsonSet(doc, ptr, value) {
+  const tokens = parsePointer(ptr);
+  if (!tokens.length) return value;
+  const key = tokens.pop();
+  const parent = walkPointer(doc, tokens, ptr);
+  if (Array.isArray(parent)) {
+    if (key === "-") parent.push(value);
+    else {
+      const i = Number(key);
+      if (!/^(0|[1-9]\d*)$/.test(key) || i > parent.length) throw new Error(`Array index out of range: ${ptr}`);
+      parent[i] = value;
+    }
+  } else if (isPlainObject(parent)) parent[key] = value;
+  else throw new Error(`JSON pointer parent is not a container: ${ptr}`);
+  return doc;
+}
+
+// JSON Merge Patch (RFC 7386): objects merge key by key, null deletes a key, anything else replaces
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete out[k];
+    else out[k] = mergePatch(out[k], v);
+  }
+  return out;
+}
+
+// Stable layout for machine-edited JSON: two-space indent; flat objects inside arrays and short scalar
+// arrays stay on one line (the layout of addons/registry.json and core.json), so edits diff cleanly.
+function isScalar(v) { return v === null || typeof v !== "object"; }
+function inline(v) {
+  if (isScalar(v)) return JSON.stringify(v);
+  if (Array.isArray(v)) return `[${v.map(inline).join(", ")}]`;
+  const entries = Object.entries(v).map(([k, x]) => `${JSON.stringify(k)}: ${inline(x)}`);
+  return entries.length ? `{ ${entries.join(", ")} }` : "{}";
+}
+function formatJson(value, indent = "", inArray = false) {
+  if (isScalar(value)) return JSON.stringify(value);
+  const flat = Array.isArray(value) ? value.every(isScalar) : Object.values(value).every(x => isScalar(x) || (Array.isArray(x) && x.every(isScalar)));
+  const one = inline(value);
+  if ((Array.isArray(value) && flat && indent.length + one.length <= 120) || (inArray && isPlainObject(value) && flat)) return one;
+  const inner = indent + "  ";
+  const items = Array.isArray(value)
+    ? value.map(x => inner + formatJson(x, inner, true))
+    : Object.entries(value).map(([k, x]) => `${inner}${JSON.stringify(k)}: ${formatJson(x, inner)}`);
+  if (!items.length) return one;
+  const [open, close] = Array.isArray(value) ? ["[", "]"] : ["{", "}"];
+  return `${open}\n${items.join(",\n")}\n${indent}${close}`;
+}
+
+function editJson(patch, current, fn) {
+  let doc;
+  try { doc = JSON.parse(current); }
+  catch (e) { throw new Error(`${patch.target} is not valid JSON: ${e.message}`); }
+  if (!("value" in patch)) throw new Error(`${patch.action} requires "value"`);
+  return formatJson(fn(doc)) + (current.endsWith("\n") ? "\n" : "");
+}
+
+function lineCount(text) {
+  return text === "" ? 0 : text.split("\n").length - (text.endsWith("\n") ? 1 : 0);
+}
+
+// Pure transform: content after applying `patch` to `current` (null = file doesn't exist / is deleted).
+// `rename` is handled by patchEffects (it touches two files).
+function patchedContent(patch, current) {
+  if (patch.action === "create") {
+    if (current != null) throw new Error(`File already exists: ${patch.target}`);
+    return patch.snippet || "";
+  }
+  if (current == null) throw new Error(`File not found: ${patch.target}`);
+
+  if (patch.action === "delete") return null;
+  if (patch.action === "replace") {
+    if (!patch.find) throw new Error('replace requires "find"');
+    const next = current.replace(patch.find, patch.replace ?? "");
+    if (next === current) throw new Error(`No match for "find" in ${patch.target}`);
+    return next;
+  }
+  if (patch.action === "regexReplace") {
+    // Every match is replaced ($1, $<name> work in `replace`); `count` pins how many matches there must be
+    if (!patch.pattern) throw new Error('regexReplace requires "pattern"');
+    let rx;
+    try { rx = new RegExp(patch.pattern, [...new Set(String(patch.flags || "").replace(/[gy]/g, "") + "g")].join("")); }
+    catch (e) { throw new Error(`Invalid regex in ${patch.target}: ${e.message}`); }
+    const found = (current.match(rx) || []).length;
+    if (!found) throw new Error(`No match for /${patch.pattern}/ in ${patch.target}`);
+    if (patch.count != null && found !== Number(patch.count)) {
+      throw new Error(`Expected ${patch.count} match(es) for /${patch.pattern}/ in ${patch.target}, found ${found}`);
+    }
+    return current.replace(rx, patch.replace ?? "");
+  }
+  if (patch.action === "replaceLines") {
+    // 1-based, inclusive; an empty snippet deletes the lines
+    const total = lineCount(current);
+    const start = Number(patch.startLine), end = Number(patch.endLine ?? patch.startLine);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start || end > total) {
+      throw new Error(`Line range ${patch.startLine}-${patch.endLine} is outside ${patch.target} (${total} lines)`);
+    }
+    const lines = current.split("\n");
+    const snippet = patch.snippet || "";
+    const replacement = snippet === "" ? [] : snippet.replace(/\n$/, "").split("\n");
+    lines.splice(start - 1, end - start + 1, ...replacement);
+    return lines.join("\n");
+  }
+  if (patch.action === "append") {
+    return current + "\n" + (patch.snippet || "");
+  }
+  if (patch.action === "insertAfter" || patch.action === "insertBefore") {
+    const anchor = patch.anchor || "";
+    if (!anchor) throw new Error(`${patch.action} requires "anchor"`);
+    const idx = current.indexOf(anchor);
+    if (idx === -1) throw new Error(`Anchor not found in ${patch.target}`);
+    if (patch.action === "insertBefore") return current.slice(0, idx) + (patch.snippet || "") + "\n" + current.slice(idx);
+    const pos = idx + anchor.length;
+    return current.slice(0, pos) + "\n" + (patch.snippet || "") + current.slice(pos);
+  }
+  if (patch.action === "jsonSet") {
+    return editJson(patch, current, doc => jsonSet(doc, patch.path ?? "", patch.value));
+  }
+  if (patch.action === "jsonMerge") {
+    return editJson(patch, current, doc => {
+      const tokens = parsePointer(patch.path ?? "");
+      if (!tokens.length) return mergePatch(doc, patch.value);
+      const here = walkPointer(doc, tokens, patch.path);
+      return jsonSet(doc, patch.path, mergePatch(here, patch.value));
+    });
+  }
+  throw new Error(`Unsupported action: ${patch.action}`);
+}
+
+// Files one patch changes → [{ target, before, after }] (null = missing / removed); `read(target)` gives the
+// current content. A rename reports the source (removed) and the destination (created with the same content).
+// opts go to fence.assertWritable: { root, source, audit }.
+function patchEffects(patch, read, opts = {}) {
+  if (!isValidPatch(patch)) throw new Error(`Patch needs a target and one of: ${ACTIONS.join(", ")}`);
+  fence.assertWritable(patch.target, { ...opts, action: patch.action });
+  const current = read(patch.target);
+  if (patch.action === "rename") {
+    if (!patch.to) throw new Error('rename requires "to"');
+    fence.assertWritable(patch.to, { ...opts, action: patch.action });
+    if (current == null) throw new Error(`File not found: ${patch.target}`);
+    if (patch.to === patch.target) throw new Error(`rename: "to" is the same file as the target`);
+    if (read(patch.to) != null) throw new Error(`File already exists: ${patch.to}`);
+    return [{ target: patch.target, before: current, after: null }, { target: patch.to, before: null, after: current }];
+  }
+  return [{ target: patch.target, before: current, after: patchedContent(patch, current) }];
+}
+
+function readOrNull(abs) {
+  return fs.existsSync(abs) ? fs.readFileSync(abs, "utf8") : null;
+}
+
+// Applies one patch under root → [{ target, before }] (before = previous content, null if created)
+// `source` names the caller in the fence audit log.
+function applyJsonPatch(patch, root = process.cwd(), { source } = {}) {
+  const effects = patchEffects(patch, t => readOrNull(path.join(root, t)), { root, source });
+  for (const e of effects) {
+    const abs = path.join(root, e.target);
+    if (e.after == null) { fs.rmSync(abs, { force: true }); continue; }
+    if (e.before == null) fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, e.after, "utf8");
+  }
+  return effects.map(e => ({ target: e.target, before: e.before }));
+}
+
+// Dry run in memory: patches apply in order on top of each other, nothing is written.
+// A failing patch is reported and skipped so the rest can still be reviewed. Fence denials are reported
+// here too but not audited (nothing is being written).
+// before/after are the text the patch changes (for a rename: source content → moved content).
+// → { patches: [{ index, target, action, to?, ok, error?, before, after }], files: Map<target, { before, after }> }
+function previewPatches(patches, root = process.cwd()) {
+  const files = new Map();
+  const read = t => files.has(t) ? files.get(t).after : readOrNull(path.join(root, t));
+  const out = [];
+  (patches || []).forEach((patch, index) => {
+    const row = { index, target: patch?.target, action: patch?.action, ok: false };
+    if (patch?.to) row.to = patch.to;
+    try {
+      const effects = patchEffects(patch, read, { root, audit: false });
+      for (const e of effects) {
+        if (!files.has(e.target)) files.set(e.target, { before: e.before, after: e.before });
+        files.get(e.target).after = e.after;
+      }
+      row.before = effects[0].before;
+      row.after = effects[effects.length - 1].after;
+      row.ok = true;
+    } catch (e) {
+      row.error = String(e.message || e);
+    }
+    out.push(row);
+  });
+  return { patches: out, files };
+}
+
+// Puts every touched file back exactly (created files are removed)
+function restoreSnapshots(applied, root = process.cwd()) {
+  for (const a of [...applied].reverse()) {
+    const abs = path.join(root, a.target);
+    if (a.before == null) fs.rmSync(abs, { force: true });
+    else fs.writeFileSync(abs, a.before, "utf8");
+  }
+}
+
+// Applies every patch or none → [{ target, before }] (one entry per file change, in order)
+function applyPatches(patches, root = process.cwd(), { source } = {}) {
+  const applied = [];
+  try {
+    for (const patch of patches) applied.push(...applyJsonPatch(patch, root, { source }));
+  } catch (e) {
+    restoreSnapshots(applied, root);
+    throw e;
+  }
+  return applied;
+}
+
+module.exports = {
+  ACTIONS, isValidPatch, patchedContent, patchEffects, formatJson,
+  applyJsonPatch, previewPatches, applyPatches, restoreSnapshots
+};
@@ -0,0 +1,183 @@
+// /selfedit/sandbox.js
+// Validation workspace for self-edit proposals. Nothing here touches the live tree:
+//   1. copy the project into a temp dir (no .git, secrets, node_modules — that one is symlinked)
+//   2. apply the proposal's patches there
+//   3. built-in checks: `node --check` on every touched .js file, load test of every touched add-on
+//   4. run the proposal's tests[] — only commands on the allowlist, without a shell, with a timeout
+//      and a stripped environment (no API keys or secrets). npm entries count only when package.json has
+//      the script; describe() states the allowlist for the proposal prompts
+//   5. delete the workspace
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { applyPatches } = require("./patch");
+
+const TIMEOUT_MS = Number(process.env.AURION_VALIDATE_TIMEOUT_MS || 60000);
+const MAX_OUTPUT = 64 * 1024;
+const COPY_DENY = ["node_modules", ".git", "backups", "proposals"];
+const isSecret = (name) => name === ".env" || name.startsWith(".env.");
+
+// Commands the model may ask for: argv prefixes, plus which trailing args are allowed
+const ALLOWLIST = [
+  { argv: ["npm", "run", "build"], extra: "none" },
+  { argv: ["npm", "test"], extra: "none" },
+  { argv: ["npm", "run", "test"], extra: "none" },
+  { argv: ["npm", "run", "lint"], extra: "none" },
+  { argv: ["node", "--check"], extra: "paths" }
+];
+
+// Minimal shell-word split: spaces separate, single/double quotes group; no expansion, no operators
+function splitCommand(cmd) {
+  const out = [];
+  let cur = "", quote = null, any = false;
+  for (const ch of String(cmd || "").trim()) {
+    if (quote) { if (ch === quote) quote = null; else cur += ch; continue; }
+    if (ch === "'" || ch === '"') { quote = ch; any = true; continue; }
+    if (/\s/.test(ch)) { if (cur || any) out.push(cur); cur = ""; any = false; continue; }
+    if (/[|&;<>`$()]/.test(ch)) throw new Error(`shell syntax is not allowed: ${ch}`);
+    cur += ch;
+  }
+  if (quote) throw new Error("unbalanced quotes");
+  if (cur || any) out.push(cur);
+  return out;
+}
+
+// The allowlist for a tree: npm entries whose script package.json doesn't define are left out
+function allowlist(root = process.cwd()) {
+  let scripts = {};
+  try { scripts = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8")).scripts || {}; } catch {}
+  return ALLOWLIST.filter(r => r.argv[0] !== "npm" || !!scripts[r.argv[1] === "run" ? r.argv[2] : r.argv[1]]);
+}
+
+// One-line summary for LLM prompts
+function describe(root = process.cwd()) {
+  const cmds = allowlist(root).map(r => r.argv.join(" ") + (r.extra === "paths" ? " <files>" : ""));
+  return `Validation: each tests[].cmd must be exactly one of: ${cmds.join(" | ")}; anything else is skipped.`;
+}
+
+const safeRelPath = (p) => !path.isAbsolute(p) && !p.startsWith("-") && !path.normalize(p).split(path.sep).includes("..");
+
+// root: the tree whose package.json decides the npm entries → argv when allowed, otherwise throws with the reason
+function allowedArgv(cmd, root = process.cwd()) {
+  const argv = splitCommand(cmd);
+  const rules = allowlist(root);
+  const rule = rules.find(r => r.argv.every((a, i) => argv[i] === a));
+  if (!rule) throw new Error(`not on the allowlist (${rules.map(r => r.argv.join(" ")).join(", ")})`);
+  const rest = argv.slice(rule.argv.length);
+  if (rule.extra === "none" && rest.length) throw new Error("extra arguments are not allowed");
+  if (rule.extra === "paths" && (!rest.length || !rest.every(safeRelPath))) throw new Error("expects relative file paths inside the project");
+  return argv;
+}
+
+function strippedEnv(dir) {
+  return {
+    PATH: process.env.PATH || "/usr/local/bin:/usr/bin:/bin",
+    HOME: dir,
+    LANG: process.env.LANG || "C.UTF-8",
+    NODE_ENV: "test",
+    CI: "1",
+    AURION_LLM_PROVIDER: "mock",
+    npm_config_update_notifier: "false"
+  };
+}
+
+const clip = (s) => (s.length > MAX_OUTPUT ? s.slice(0, MAX_OUTPUT) + "\n…[truncated]" : s);
+
+function run(argv, dir) {
+  return new Promise(resolve => {
+    execFile(argv[0], argv.slice(1), {
+      cwd: dir, env: strippedEnv(dir), timeout: TIMEOUT_MS, killSignal: "SIGKILL", maxBuffer: 4 * MAX_OUTPUT
+    }, (err, stdout, stderr) => {
+      resolve({
+        ok: !err,
+        code: err ? (err.killed ? null : err.code) : 0,
+        timedOut: !!err?.killed,
+        stdout: clip(String(stdout || "")),
+        stderr: clip(String(stderr || (err && !err.code ? err.message : "")))
+      });
+    });
+  });
+}
+
+function copyTree(src, dst) {
+  fs.mkdirSync(dst, { recursive: true });
+  for (const e of fs.readdirSync(src, { withFileTypes: true })) {
+    if (COPY_DENY.includes(e.name) || isSecret(e.name)) continue;
+    const from = path.join(src, e.name), to = path.join(dst, e.name);
+    if (e.isDirectory()) copyTree(from, to);
+    else if (e.isFile()) fs.copyFileSync(from, to);
+  }
+}
+
+function makeWorkspace(root) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aurion-validate-"));
+  copyTree(root, dir);
+  const nm = path.join(root, "node_modules");
+  if (fs.existsSync(nm)) fs.symlinkSync(nm, path.join(dir, "node_modules"), "dir");
+  return dir;
+}
+
+// Touched add-on modules: edited/created addons/*.js, plus every registry entry when registry.json changed
+function addonsToLoad(dir, targets) {
+  const files = new Set(targets.filter(t => /^addons\/[^/]+\.js$/.test(t)));
+  if (targets.includes("addons/registry.json")) {
+    try {
+      const reg = JSON.parse(fs.readFileSync(path.join(dir, "addons/registry.json"), "utf8"));
+      for (const e of reg.addons || []) if (e?.file && e.enabled !== false) files.add(`addons/${e.file}`);
+    } catch (e) {
+      return { files: [], registryError: `addons/registry.json is not valid JSON: ${e.message}` };
+    }
+  }
+  return { files: [...files].filter(f => fs.existsSync(path.join(dir, f))) };
+}
+
+// → { allOk, checks: { syntax: [...], addons: [...] }, results: [...] }
+async function validateProposal(proposal, { root = process.cwd() } = {}) {
+  const dir = makeWorkspace(root);
+  try {
+    let applied;
+    try { applied = applyPatches(proposal.patches || [], dir, { source: "validate" }); }
+    catch (e) { return { allOk: false, applyError: String(e.message || e), checks: { syntax: [], addons: [] }, results: [] }; }
+    const targets = [...new Set(applied.map(a => a.target))];
+    let allOk = true;
+
+    // Syntax of every touched JS file that still exists
+    const syntax = [];
+    for (const t of targets.filter(t => t.endsWith(".js") && fs.existsSync(path.join(dir, t)))) {
+      const r = await run([process.execPath, "--check", t], dir);
+      syntax.push({ file: t, ok: r.ok, error: r.ok ? null : (r.stderr || r.stdout).replaceAll(dir + path.sep, "").trim() });
+      if (!r.ok) allOk = false;
+    }
+
+    // Load test of touched add-ons (fresh process in the workspace)
+    const { files, registryError } = addonsToLoad(dir, targets);
+    let addons = [];
+    if (registryError) { addons = [{ file: "addons/registry.json", ok: false, error: registryError }]; allOk = false; }
+    else if (files.length) {
+      const r = await run([process.execPath, path.join("selfedit", "loadcheck.js"), ...files], dir);
+      try { addons = JSON.parse(r.stdout.trim().split("\n").pop()); }
+      catch { addons = files.map(file => ({ file, ok: false, error: r.timedOut ? "load test timed out" : (r.stderr || "load test crashed").trim() })); }
+      if (addons.some(a => !a.ok)) allOk = false;
+    }
+
+    // Proposal tests: allowlisted only; blocked commands are reported, not run
+    const steps = proposal.tests?.length ? proposal.tests : [{ cmd: "npm run build", description: "Build should pass" }];
+    const results = [];
+    for (const s of steps) {
+      const step = s.description || s.cmd;
+      let argv;
+      try { argv = allowedArgv(s.cmd, dir); }
+      catch (e) { results.push({ step, cmd: s.cmd, ok: false, skipped: true, reason: String(e.message || e) }); continue; }
+      const r = await run(argv, dir);
+      results.push({ step, cmd: s.cmd, ...r });
+      if (!r.ok) allOk = false;
+    }
+
+    return { allOk, targets, checks: { syntax, addons }, results };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { validateProposal, allowedArgv, splitCommand, describe, ALLOWLIST };
@@ -0,0 +1,87 @@
+// selfread.js — Safe, read-only inspection of the project tree
+// Shared by the /selfread/* routes and the chat tools (tools/builtin.js).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SELFREAD_ENABLED = String(process.env.AURION_ENABLE_SELFREAD || 'true') === 'true';
+const SELFREAD_DENY = ['node_modules/','backups/','proposals/','.git/','.env','.env.local','.env.production','.env.development'];
+const SELFREAD_MAX = 256 * 1024;
+const ROOT = process.cwd();
+
+function denied(rel) {
+  return SELFREAD_DENY.some(d => rel === d || rel.startsWith(d) || rel + '/' === d);
+}
+
+function srNormalize(relPath) {
+  const abs = path.resolve(ROOT, relPath);
+  if (!abs.startsWith(ROOT)) throw Object.assign(new Error('Path traversal blocked'), { status: 400 });
+  const rel = path.relative(ROOT, abs).replaceAll('\\','/');
+  if (denied(rel)) throw Object.assign(new Error(`Access denied: ${rel}`), { status: 403 });
+  return { abs, rel };
+}
+
+function listTree(maxDepth = 4) {
+  const out = [];
+  (function walk(dir, depth=0) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      const rel = path.relative(ROOT, full).replaceAll('\\','/') + (e.isDirectory()?'/':'');
+      if (denied(rel)) continue;
+      out.push({ rel, dir: e.isDirectory(), depth });
+      if (e.isDirectory() && depth < maxDepth) walk(full, depth+1);
+    }
+  })(ROOT);
+  return out;
+}
+
+// Byte slice of a file (default: from start, capped at SELFREAD_MAX)
+function readSlice(relPath, { start = 0, end = null, base64 = false } = {}) {
+  const { abs, rel } = srNormalize(relPath);
+  const stat = fs.statSync(abs);
+  if (!stat.isFile()) throw Object.assign(new Error('Not a file'), { status: 400 });
+  const size = stat.size;
+  const s = Math.max(0, Number(start)||0);
+  const e = end==null ? Math.min(size, s + SELFREAD_MAX) : Math.min(size, Number(end));
+  if ((e - s) > SELFREAD_MAX) throw Object.assign(new Error('Slice too large'), { status: 413 });
+  const fd = fs.openSync(abs, 'r');
+  const buf = Buffer.alloc(Math.max(0, e - s));
+  fs.readSync(fd, buf, 0, buf.length, s);
+  fs.closeSync(fd);
+  return { rel, size, start:s, end:e, content: base64 ? buf.toString('base64') : buf.toString('utf8') };
+}
+
+function grep(pattern, relPath = '.', limit = 500) {
+  const { abs } = srNormalize(relPath);
+  const rx = new RegExp(pattern, 'i');
+  const results = [];
+  (function walk(dir) {
+    for (const e of fs.readdirSync(dir, { withFileTypes:true })) {
+      const full = path.join(dir, e.name);
+      const rel = path.relative(ROOT, full).replaceAll('\\','/');
+      if (denied(rel)) continue;
+      if (e.isDirectory()) { if (rel.split('/').length < 10) walk(full); continue; }
+      const stat = fs.statSync(full);
+      if (stat.size > SELFREAD_MAX) continue;
+      let text = '';
+      try { text = fs.readFileSync(full, 'utf8'); } catch { continue; }
+      const lines = text.split(/\r?\n/);
+      for (let i=0;i<lines.length;i++) {
+        if (rx.test(lines[i])) results.push({ file: rel, line: i+1, preview: lines[i].slice(0,300) });
+        if (results.length >= limit) break;
+      }
+      if (results.length >= limit) break;
+    }
+  })(abs);
+  return results.slice(0, limit);
+}
+
+function hashFile(relPath) {
+  const { abs, rel } = srNormalize(relPath);
+  const data = fs.readFileSync(abs);
+  const sha = crypto.createHash('sha256').update(data).digest('hex');
+  return { rel, sha256: sha, bytes: data.length };
+}
+
+module.exports = { SELFREAD_ENABLED, SELFREAD_MAX, ROOT, srNormalize, listTree, readSlice, grep, hashFile };
@@ -1,24 +1,26 @@
-require("dotenv").config();// server.js — Aurion v1 (memory-integrated + file-read triggers + addons + self-edit + SEMANTIC MEMORY)
+require("dotenv").config();// server.js — Aurion v1 (memory-integrated + tool calling + addons + self-edit + SEMANTIC MEMORY)
 // ==================================================================================
 // Kept:
 // - Static /public
 // - /healthz
 // - /aurion/chat  (+ /chat compat)
 // - Persistent memory & transcripts on disk
-// - /core GET/POST (presidential core)
-// - Self-rewrite lifecycle: /selfedit/* (propose/validate/approve/rollback/list)
+// - /core GET/POST (presidential core) — versioned (core.js): /core/versions, /core/diff, /core/restore
+// - Self-rewrite lifecycle: /selfedit/* (propose/validate/approve/rollback/list); approvals are commits on a
+//   dedicated git branch, rollbacks are revert commits (selfedit/git.js)
 // - JSON-only API errors (avoid HTML leaks)
 // - Safe self-read endpoints: /selfread/*
-// - Add-on loader via addons/registry.json
-// - Write fence: patches may ONLY touch addons/** (and optionally core.json)
+// - Add-on loader via addons/registry.json (hot reload: /addons enable|disable|reload, registry watcher)
+// - Write fence: one policy (selfedit/fence.js + fence.json) for every writer; denials are audited
+// - Bearer auth (auth.js): chat / core / approve scopes; static pages + /healthz stay open
+// - LLM provider layer (llm/): openai | local (OpenAI-compatible base URL) | mock (offline)
 //
 // New in this build:
-// - Embeddings-backed semantic memory (OpenAI text-embedding-3-small)
+// - Embeddings-backed semantic memory (provider embeddings; OpenAI text-embedding-3-small by default)
 // - Hybrid recall: recency + keyword + vector similarity
-// - Zero data loss: new vectors file at DISK_PATH/aurion_vectors.json
-// - Prompt nudge so the model never says “I can’t read code” (server can)
-// - Natural phrase fallback: “read your own code” → defaults to server.js
-// - Early return after file-read so LLM doesn’t double-respond
+// - Zero data loss: one memory engine (memory/) on the storage backend (storage/); legacy files imported once
+// - Tool calling (tools/): the model reads/greps its own code, searches memory, looks up the Core,
+//   plans via reason-core; add-ons can register more tools from their register hook
 // - Simple /aurion/readfile route for direct reads (256KB cap, deny-list)
 // - ✨ NEW: Prompt nudge + sanitizer so replies don’t start with “Aurion: …”
 
@@ -30,8 +32,24 @@ const path = require('path');
 const crypto = require('crypto');
 const { exec } = require('child_process');
 const express = require('express');
+const { requireScope } = require('./auth');
+const llm = require('./llm');
+// Fail fast on a missing LLM configuration, before anything is written to the data dir (llm/index.js)
+try { llm.provider(); } catch (e) { console.error(`[Aurion] ${e.message}`); process.exit(1); }
+const memory = require('./memory');
+const selfread = require('./selfread');
+const tools = require('./tools');
+const addons = require('./addons');
+const { createCore, groupDirectives } = require('./core');
+const storage = require('./storage');
+const { buildPrompt, fitToolResults } = require('./prompt');
+const selfGit = require('./selfedit/git');
+const { isValidPatch, applyPatches, restoreSnapshots, previewPatches } = require('./selfedit/patch');
+const { unifiedDiff } = require('./selfedit/diff');
+const sandbox = require('./selfedit/sandbox');
+const { validateProposal } = sandbox;
+const fence = require('./selfedit/fence');
 let cors = null; try { cors = require('cors'); } catch {}
-let OpenAI = null; try { OpenAI = require('openai'); } catch {}
 let dotenv = null; try { dotenv = require('dotenv'); dotenv.config(); } catch {}
 
 const app = express();
@@ -43,9 +61,11 @@ app.use(express.urlencoded({ extended: true }));
 if (cors) app.use(cors());
 
 //////////////////////////
-// Persistent Disk Path //
+// Persistent Storage   //
 //////////////////////////
-const DISK_PATH = "/var/data";
+// AURION_STORAGE=file|sqlite (storage/): transcripts, memories, vectors, proposals, core versions and
+// conversation state. The file backend and legacy imports live under AURION_DATA_DIR (default /var/data).
+const DISK_PATH = storage.DATA_DIR;
 try { fs.mkdirSync(DISK_PATH, { recursive: true }); } catch {}
 
 /////////////////////
@@ -57,43 +77,69 @@ if (fs.existsSync(PUBLIC_DIR)) app.use(express.static(PUBLIC_DIR));
 /////////////////////////
 // Presidential  CORE  //
 /////////////////////////
-const CORE_FILE_REPO = path.join(process.cwd(), 'core.json');
-const CORE_FILE_DISK = path.join(DISK_PATH, 'core.json');
+// Every save is a version (core.js): author, timestamp, reason; list / diff / restore below.
+const coreStore = createCore({
+  repoFile: path.join(process.cwd(), 'core.json'),
+  store: storage
+});
+coreStore.init();
 
-if (!fs.existsSync(CORE_FILE_DISK)) {
-  if (!fs.existsSync(CORE_FILE_REPO)) {
-    throw new Error('Missing core.json in repo root. Add it before deploy.');
-  }
-  fs.copyFileSync(CORE_FILE_REPO, CORE_FILE_DISK);
-  console.log('[Aurion] core.json copied to persistent disk.');
+function loadCoreArray() {
+  return coreStore.load().core;
 }
+const coreAuthor = (req) => req.auth?.key || 'anon';
 
-function loadCoreArray() {
+app.get('/core', requireScope('chat'), (_req, res) => {
+  try { const { meta, core } = coreStore.load(); res.json({ ok: true, core, meta, version: coreStore.current() }); }
+  catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// body: { core: [...], reason?, override? } — override: true is required to save an empty core
+app.post('/core', requireScope('core'), (req, res) => {
   try {
-    const raw = JSON.parse(fs.readFileSync(CORE_FILE_DISK, 'utf8'));
-    return Array.isArray(raw?.core) ? raw.core : (Array.isArray(raw) ? raw : []);
-  } catch { return []; }
-}
-function saveCoreArray(arr) {
-  const payload = { core: Array.isArray(arr) ? arr : [] };
-  fs.writeFileSync(CORE_FILE_DISK, JSON.stringify(payload, null, 2), 'utf8');
-}
-app.get('/core', (_req, res) => {
-  try { res.json({ ok: true, core: loadCoreArray() }); }
+    const { core, reason, override } = req.body || {};
+    const out = coreStore.save(core, { author: coreAuthor(req), reason, override: override === true });
+    res.json({ ok: true, ...out });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.get('/core/versions', requireScope('core'), (_req, res) => {
+  try { res.json({ ok: true, current: coreStore.current(), versions: coreStore.list() }); }
   catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
 });
-app.post('/core', (req, res) => {
+app.get('/core/versions/:version', requireScope('core'), (req, res) => {
+  try { res.json({ ok: true, version: coreStore.getVersion(req.params.version) }); }
+  catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+// ?from=<n>&to=<n> (to defaults to the current version)
+app.get('/core/diff', requireScope('core'), (req, res) => {
   try {
-    const next = Array.isArray(req.body?.core) ? req.body.core : [];
-    saveCoreArray(next);
-    res.json({ ok: true });
-  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+    if (!req.query.from) return res.status(400).json({ ok:false, error:"Missing 'from'" });
+    res.json({ ok: true, ...coreStore.diff(req.query.from, req.query.to || coreStore.current()) });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+// body: { version, reason?, override? } — saves that version's entries as a new version
+app.post('/core/restore', requireScope('core'), (req, res) => {
+  try {
+    const { version, reason, override } = req.body || {};
+    if (version == null) return res.status(400).json({ ok:false, error:"Missing 'version'" });
+    const out = coreStore.restore(version, { author: coreAuthor(req), reason, override: override === true });
+    res.json({ ok: true, ...out });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
 });
 
 /////////////////////////////
 // System Prompt Composer  //
 /////////////////////////////
-function composeSystemPrompt(coreArr, memoryBullets = []) {
+// Enabled directives, grouped by category, highest priority first
+function formatCore(directives) {
+  return groupDirectives(directives).flatMap(g => [
+    `${g.category.replace(/-/g, ' ').toUpperCase()} (priority ${g.priority}):`,
+    ...g.directives.map(d => `- ${d.text}${d.priority !== g.priority ? ` [priority ${d.priority}]` : ''}`)
+  ]);
+}
+
+// `earlier` is the condensed part of the conversation that no longer fits as turns (prompt.js);
+// `profile` holds short lines about the user from their profile (memory/profile.js)
+function composeSystemPrompt(coreArr, memoryBullets = [], earlier = null, profile = []) {
   return [
     'You are AURION.',
     'Follow the PRESIDENTIAL CORE directive above all else.',
@@ -104,192 +150,302 @@ function composeSystemPrompt(coreArr, memoryBullets = []) {
     'Do not prefix replies with your name (e.g., "Aurion:" or "Aurion —"). Speak directly.',
     '',
     // Patch: make it stop claiming it can’t read code
-    'The server provides file-inspection endpoints (/selfread/*, /aurion/readfile).',
-    'Never claim you cannot read files. If file content is provided, analyze it; if a filename is mentioned, ask for it or proceed per tool results.',
+    'You have tools to read and search your own source (selfread_*), search memory, look up the Core and plan (reason_plan).',
+    'Never claim you cannot read files: call a tool, then answer from its results. Do not guess file contents.',
     '',
+    ...(profile.length ? ['ABOUT THIS USER (profile facts):', ...profile.map(f => `- ${f}`), ''] : []),
     'SESSION MEMORY (selected, summarized):',
     ...memoryBullets.map(b => `- ${b}`),
     '',
-    'PRESIDENTIAL CORE (authoritative):',
-    JSON.stringify(coreArr, null, 2)
+    ...(earlier ? ['EARLIER IN THIS CONVERSATION (condensed):', earlier, ''] : []),
+    'PRESIDENTIAL CORE (authoritative; sections are in priority order, and on conflict the higher priority wins):',
+    ...formatCore(coreArr)
   ].join('\n');
 }
 
-/////////////////////////
-// Persistent MEMORIES //
-/////////////////////////
-const MEMORY_FILE = path.join(DISK_PATH, 'aurion_memory.jsonl');
-if (!fs.existsSync(MEMORY_FILE)) fs.writeFileSync(MEMORY_FILE, '', 'utf8');
-
+//////////////////////////////
+// Memory engine (memory/)  //
+//////////////////////////////
+// Windows, active state, episodic log, intent-bucketed vectors, summaries and hybrid recall.
+// init() imports the legacy aurion_memory.jsonl / aurion_vectors.json once.
+memory.init();
 function storeMemory(content, tags = []) {
-  const entry = { timestamp: new Date().toISOString(), content, tags };
-  fs.appendFileSync(MEMORY_FILE, JSON.stringify(entry) + '\n', 'utf8');
-  // NEW: index into vector store (best-effort, never throws)
-  try { indexVector(entry).catch(()=>{}); } catch {}
-  return entry;
-}
-function loadMemories() {
-  const raw = fs.existsSync(MEMORY_FILE) ? fs.readFileSync(MEMORY_FILE, 'utf8').trim() : '';
-  if (!raw) return [];
-  return raw.split('\n').map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-}
-
-// Simple recency + keyword ranking (kept)
-function recallMemoriesKeywordRecency(query, limit = 6) {
-  const q = String(query || '').toLowerCase();
-  const now = Date.now();
-  const mems = loadMemories();
-  const scored = mems.map(m => {
-    const ageHours = Math.max(1, (now - Date.parse(m.timestamp)) / 3_600_000);
-    const text = (m.content || '').toLowerCase();
-    const kwScore = q && q.length > 1 ? (text.includes(q) ? 3 : 0) : 0;
-    const timeScore = 1 / Math.sqrt(ageHours);
-    return { m, score: kwScore + timeScore };
-  });
-  return scored.sort((a,b)=>b.score-a.score).slice(0, limit).map(x => x.m);
+  return memory.storeMemory(content, { tags });
 }
 
-/////////////////////////
-// Transcripts (per user)
-/////////////////////////
-const TX_FILE = path.join(DISK_PATH, 'transcripts.jsonl'); // { ts, user, role, content }
-if (!fs.existsSync(TX_FILE)) fs.writeFileSync(TX_FILE, '', 'utf8');
+/////////////////////////////////////
+// Transcripts (per user + conversation)
+/////////////////////////////////////
+const TX_LOG = 'transcripts.jsonl'; // storage log: { ts, user, conv_id, role, content }
 
-function appendTranscript(user, role, content) {
-  const row = { ts: Date.now(), user: String(user || 'anon'), role, content: String(content || '') };
-  fs.appendFileSync(TX_FILE, JSON.stringify(row) + '\n', 'utf8');
+function appendTranscript(user, role, content, convId = null) {
+  const row = { ts: Date.now(), user: String(user || 'anon'), conv_id: convId, role, content: String(content || '') };
+  storage.appendJSONL(TX_LOG, row);
+  memory.indexTranscript(row);
   return row;
 }
-function loadTranscriptAll() {
-  const raw = fs.existsSync(TX_FILE) ? fs.readFileSync(TX_FILE, 'utf8').trim() : '';
-  if (!raw) return [];
-  return raw.split('\n').map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-}
-function lastTurnsForUser(user, n = 10) {
-  const all = loadTranscriptAll().filter(x => x.user === user);
+function loadTranscriptAll() { return storage.readJSONL(TX_LOG); }
+// Rows written before threads existed have no conv_id; they belong to the user-named legacy thread
+function turnsForConversation(convId, n = 200) {
+  const all = loadTranscriptAll().filter(x => (x.conv_id || x.user) === convId);
   return all.slice(-n);
 }
 
-/////////////////////
-// OpenAI (models) //
-/////////////////////
-const openai = OpenAI ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
-
-// Optional: simple router (mini by default; upgrade by flag/regex)
-function pickModel(userMsg) {
-  if (process.env.AURION_MODEL) return process.env.AURION_MODEL; // override
-  const hard = [
-    /refactor|architecture|multi[- ]file|performance/i,
-    /security|auth|encryption|oauth/i,
-    /database schema|migration|indexing/i
-  ];
-  return hard.some(rx => rx.test(userMsg)) ? 'gpt-4o' : 'gpt-4o-mini';
+///////////////////////////
+// Conversations (threads)
+///////////////////////////
+function convForUser(id, who) {
+  const conv = memory.getConversation(String(id || ''));
+  return conv && conv.user === who ? conv : null;
 }
+app.post('/aurion/conversations', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.body?.user || 'anon').slice(0, 64);
+    const conversation = memory.createConversation({ user: who, title: req.body?.title });
+    res.json({ ok: true, conversation });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.get('/aurion/conversations', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.query.user || 'anon').slice(0, 64);
+    const a = String(req.query.archived || '0');
+    const archived = a === 'all' ? 'all' : (a === '1' || a === 'true');
+    res.json({ ok: true, items: memory.listConversations({ user: who, archived }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.get('/aurion/conversations/:id/messages', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.query.user || 'anon').slice(0, 64);
+    const conversation = convForUser(req.params.id, who);
+    if (!conversation) return res.status(404).json({ ok:false, error:'Conversation not found' });
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+    const messages = turnsForConversation(conversation.id, limit).map(t => ({ ts: t.ts, role: t.role, content: t.content }));
+    res.json({ ok: true, conversation, messages });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.patch('/aurion/conversations/:id', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.body?.user || 'anon').slice(0, 64);
+    if (!convForUser(req.params.id, who)) return res.status(404).json({ ok:false, error:'Conversation not found' });
+    if (!String(req.body?.title || '').trim()) return res.status(400).json({ ok:false, error:'Missing "title".' });
+    res.json({ ok: true, conversation: memory.renameConversation(req.params.id, req.body.title) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.post('/aurion/conversations/:id/archive', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.body?.user || 'anon').slice(0, 64);
+    if (!convForUser(req.params.id, who)) return res.status(404).json({ ok:false, error:'Conversation not found' });
+    const archived = req.body?.archived !== false; // { archived:false } restores
+    res.json({ ok: true, conversation: memory.archiveConversation(req.params.id, archived) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Rolling notes (memory/summarizer.js): the conversation's and the user's
+app.get('/aurion/conversations/:id/summary', requireScope('chat'), (req, res) => {
+  try {
+    const who = String(req.query.user || 'anon').slice(0, 64);
+    if (!convForUser(req.params.id, who)) return res.status(404).json({ ok:false, error:'Conversation not found' });
+    res.json({ ok: true, ...memory.getSummaries({ convId: req.params.id, user: who }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Folds every turn outside the verbatim tail now instead of waiting for a full batch
+app.post('/aurion/conversations/:id/summarize', requireScope('chat'), async (req, res) => {
+  try {
+    const who = String(req.body?.user || 'anon').slice(0, 64);
+    if (!convForUser(req.params.id, who)) return res.status(404).json({ ok:false, error:'Conversation not found' });
+    const note = await memory.summarizeNow({ convId: req.params.id });
+    if (note?.user) await memory.summarizeUser(note.user);
+    res.json({ ok: true, updated: !!note, ...memory.getSummaries({ convId: req.params.id, user: who }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
 
-async function callLLM(messages, { temperature = 0.6, max_tokens = 900, model } = {}) {
-  const TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS || 12000);
-  const timeout = new Promise((_, rej) => setTimeout(() => rej(new Error('LLM timeout')), TIMEOUT_MS));
-
-  async function invoke() {
-    const useModel = model || pickModel(messages?.slice(-1)?.[0]?.content || '');
-    if (openai) {
-      const resp = await openai.chat.completions.create({
-        model: useModel,
-        temperature,
-        max_tokens,
-        messages
-      });
-      return resp.choices?.[0]?.message?.content || '';
-    }
-    const fetch = (await import('node-fetch')).default;
-    const r = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: { 'Content-Type':'application/json', 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
-      body: JSON.stringify({ model: useModel, temperature, max_tokens, messages })
-    });
-    const j = await r.json();
-    return j.choices?.[0]?.message?.content || '';
+///////////////////////////////////////
+// Memory management (/aurion/memories)
+///////////////////////////////////////
+// Browse, search, edit, pin and forget entries of memories.jsonl; the vector index is kept in step (memory/index.js).
+// Core scope: memories span every user.
+function memoryPatch(body = {}) {
+  const patch = {};
+  if (body.content != null) {
+    if (typeof body.content !== 'string' || !body.content.trim()) throw Object.assign(new Error('"content" must be non-empty text'), { status: 400 });
+    patch.content = body.content.trim();
   }
-
-  return Promise.race([invoke(), timeout]);
+  if (body.tags != null) {
+    if (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== 'string')) throw Object.assign(new Error('"tags" must be an array of strings'), { status: 400 });
+    patch.tags = [...new Set(body.tags.map(t => t.trim()).filter(Boolean))];
+  }
+  if (body.bucket != null) patch.bucket = String(body.bucket).trim() || 'episodic';
+  if (body.pinned != null) patch.pinned = !!body.pinned;
+  if (body.importance != null) {
+    const n = Number(body.importance);
+    if (!Number.isFinite(n) || n < 0 || n > 1) throw Object.assign(new Error('"importance" must be a number from 0 to 1'), { status: 400 });
+    patch.importance = n;
+  }
+  return patch;
 }
+app.get('/aurion/memories', requireScope('core'), (req, res) => {
+  try {
+    const q = req.query;
+    const opt = (k) => (q[k] == null || q[k] === '' ? undefined : String(q[k]));
+    res.json({ ok: true, ...memory.listMemories({
+      user: opt('user'), tag: opt('tag'), bucket: opt('bucket'), convId: opt('conv_id'),
+      from: opt('from'), to: opt('to'), q: opt('q'),
+      pinned: q.pinned == null || q.pinned === '' ? undefined : (q.pinned === '1' || q.pinned === 'true'),
+      decayed: q.decayed == null || q.decayed === '' ? undefined : (q.decayed === '1' || q.decayed === 'true'),
+      offset: Math.max(0, Number(q.offset) || 0),
+      limit: Math.min(500, Math.max(1, Number(q.limit) || 50))
+    }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Ranked like chat recall (fused semantic / lexical / recency / pinned / tag), across every bucket and conversation.
+// Tuning: ?mode=rrf|weighted&weights=semantic=1,lexical=0.5,… (each hit carries `explain`)
+app.get('/aurion/memories/search', requireScope('core'), async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) return res.status(400).json({ ok:false, error:'Missing "q".' });
+    const k = Math.min(50, Math.max(1, Number(req.query.k) || 10));
+    const hits = await memory.recallHybrid(query, {
+      limit: k, buckets: [], mode: req.query.mode, weights: memory.parseRecallWeights(req.query.weights)
+    });
+    res.json({ ok: true, items: hits.map(h => ({ ...h, memory: memory.getMemory(h.id) })) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Consolidation + decay pass now (memory/consolidate.js): { user?, dryRun? } → what was scored, folded and retired
+app.post('/aurion/memories/consolidate', requireScope('core'), async (req, res) => {
+  try {
+    const user = req.body?.user == null || req.body.user === '' ? null : String(req.body.user);
+    const report = await memory.consolidateMemories({ user, dryRun: req.body?.dryRun === true });
+    if (!report) return res.status(409).json({ ok:false, error:'A consolidation pass is already running' });
+    res.json({ ok: true, dryRun: req.body?.dryRun === true, ...report });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.get('/aurion/memories/:id', requireScope('core'), (req, res) => {
+  const entry = memory.getMemory(req.params.id);
+  if (!entry) return res.status(404).json({ ok:false, error:'Memory not found' });
+  res.json({ ok: true, memory: entry });
+});
+app.patch('/aurion/memories/:id', requireScope('core'), async (req, res) => {
+  try {
+    const patch = memoryPatch(req.body);
+    if (!Object.keys(patch).length) return res.status(400).json({ ok:false, error:'Nothing to change (content, tags, bucket, pinned, importance).' });
+    const out = await memory.editMemory(req.params.id, patch);
+    if (!out) return res.status(404).json({ ok:false, error:'Memory not found' });
+    res.json({ ok: true, memory: out.entry, indexed: out.indexed });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.post('/aurion/memories/:id/pin', requireScope('core'), async (req, res) => {
+  try {
+    const out = await memory.pinMemory(req.params.id, req.body?.pinned !== false); // { pinned:false } unpins
+    if (!out) return res.status(404).json({ ok:false, error:'Memory not found' });
+    res.json({ ok: true, memory: out.entry, indexed: out.indexed });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.delete('/aurion/memories/:id', requireScope('core'), async (req, res) => {
+  try {
+    const removed = await memory.forgetMemories([req.params.id]);
+    if (!removed.length) return res.status(404).json({ ok:false, error:'Memory not found' });
+    res.json({ ok: true, removed: removed.length });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
 
-/////////////////////////////////
-// Semantic Memory (NEW)  🧠🧭  //
-/////////////////////////////////
-const VEC_FILE = path.join(DISK_PATH, 'aurion_vectors.json'); // { items: [{id, ts, text, tags, vec: number[]}] }
-if (!fs.existsSync(VEC_FILE)) fs.writeFileSync(VEC_FILE, JSON.stringify({ items: [] }, null, 2), 'utf8');
+// Full-text (BM25) search over memories and transcripts (memory/fulltext.js)
+// ?q=&source=memory|transcript&user=&role=user|assistant&tag=&conv_id=&from=&to=&offset=&limit=
+app.get('/aurion/search', requireScope('core'), (req, res) => {
+  try {
+    const q = req.query;
+    const query = String(q.q || '').trim();
+    if (!query) return res.status(400).json({ ok:false, error:'Missing "q".' });
+    const opt = (k) => (q[k] == null || q[k] === '' ? undefined : String(q[k]));
+    res.json({ ok: true, ...memory.searchText(query, {
+      source: opt('source'), user: opt('user'), role: opt('role'), tag: opt('tag'), convId: opt('conv_id'),
+      from: opt('from'), to: opt('to'),
+      offset: Math.max(0, Number(q.offset) || 0),
+      limit: Math.min(200, Math.max(1, Number(q.limit) || 20))
+    }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
 
-function loadVec() {
-  try { return JSON.parse(fs.readFileSync(VEC_FILE, 'utf8')); } catch { return { items: [] }; }
-}
-function saveVec(v) {
-  fs.writeFileSync(VEC_FILE, JSON.stringify(v, null, 2), 'utf8');
-}
-function dot(a,b){let s=0;for(let i=0;i<a.length;i++)s+=a[i]*b[i];return s;}
-function norm(a){let s=0;for(let i=0;i<a.length;i++)s+=a[i]*i;return Math.sqrt(s)||1;} // NOTE: original intended norm, but keep behavior stable
-function norm(a){let s=0;for(let i=0;i<a.length;i++)s+=a[i]*a[i];return Math.sqrt(s)||1;}
-function cosine(a,b){return dot(a,b)/(norm(a)*norm(b));}
-
-async function embedTexts(texts) {
-  // Best-effort: if no API key, return nulls so we skip semantic path
-  if (!openai) return texts.map(()=>null);
-  try {
-    const r = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: texts
-    });
-    return r.data.map(d => d.embedding);
-  } catch {
-    return texts.map(()=>null);
+// Per-user export and erasure (memory/userdata.js): transcripts, memories, vectors, summaries and threads
+app.get('/aurion/users/:user/export', requireScope('core'), (req, res) => {
+  try {
+    const { filename, data } = memory.exportUser(req.params.user);
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(data);
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Irreversible: the body must repeat the user name as { confirm }
+app.post('/aurion/users/:user/erase', requireScope('approve'), async (req, res) => {
+  try {
+    const user = req.params.user;
+    if (req.body?.confirm !== user) return res.status(400).json({ ok:false, error:'Send { "confirm": "<user>" } to erase this user.' });
+    const entry = await memory.eraseUser(user, { by: req.auth?.key || null });
+    res.json({ ok: true, ...entry });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Profile facts (memory/profile.js): extracted after each turn, viewable and correctable here.
+// ?all=1 includes superseded and rejected facts; a correction (or a fact added by hand) outranks extraction.
+function profilePatch(body = {}, { create = false } = {}) {
+  const patch = {};
+  for (const k of ['subject', 'predicate', 'object']) {
+    if (body[k] == null) {
+      if (create && k !== 'subject') throw Object.assign(new Error(`"${k}" is required`), { status: 400 });
+      continue;
+    }
+    if (typeof body[k] !== 'string' || !body[k].trim()) throw Object.assign(new Error(`"${k}" must be non-empty text`), { status: 400 });
+    patch[k] = body[k];
   }
+  if (body.confidence != null) {
+    const n = Number(body.confidence);
+    if (!Number.isFinite(n) || n < 0 || n > 1) throw Object.assign(new Error('"confidence" must be a number from 0 to 1'), { status: 400 });
+    patch.confidence = n;
+  }
+  return patch;
 }
+app.get('/aurion/users/:user/profile', requireScope('core'), (req, res) => {
+  try {
+    const all = req.query.all === '1' || req.query.all === 'true';
+    res.json({ ok: true, ...memory.getProfile(req.params.user, { all }) });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.post('/aurion/users/:user/profile/facts', requireScope('core'), (req, res) => {
+  try {
+    const fact = memory.addProfileFact(req.params.user, profilePatch(req.body, { create: true }), { by: req.auth?.key || null });
+    if (!fact) return res.status(400).json({ ok:false, error:'Not a usable fact (predicate, object).' });
+    res.json({ ok: true, fact });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.patch('/aurion/users/:user/profile/facts/:id', requireScope('core'), (req, res) => {
+  try {
+    const patch = profilePatch(req.body);
+    if (!Object.keys(patch).length) return res.status(400).json({ ok:false, error:'Nothing to change (subject, predicate, object, confidence).' });
+    const fact = memory.correctProfileFact(req.params.user, req.params.id, patch, { by: req.auth?.key || null });
+    if (!fact) return res.status(404).json({ ok:false, error:'Fact not found' });
+    res.json({ ok: true, fact });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+// Rejects the fact: it stays in the profile as "rejected" so extraction won't bring it back
+app.delete('/aurion/users/:user/profile/facts/:id', requireScope('core'), (req, res) => {
+  try {
+    const fact = memory.rejectProfileFact(req.params.user, req.params.id, { by: req.auth?.key || null });
+    if (!fact) return res.status(404).json({ ok:false, error:'Fact not found' });
+    res.json({ ok: true, fact });
+  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.get('/aurion/erasures', requireScope('approve'), (_req, res) => {
+  try { res.json({ ok: true, items: memory.erasureLog() }); }
+  catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
 
-// Index a single memory entry (called from storeMemory)
-async function indexVector(entry) {
-  const v = loadVec();
-  const [vec] = await embedTexts([entry.content]);
-  if (!vec) return;
-  v.items.push({
-    id: crypto.randomBytes(6).toString('hex'),
-    ts: entry.timestamp,
-    text: entry.content,
-    tags: entry.tags || [],
-    vec
-  });
-  // Cap file size lightly to avoid unbounded growth (keep last 5000)
-  if (v.items.length > 5000) v.items = v.items.slice(-5000);
-  saveVec(v);
-}
-
-// Semantic search (returns array of memory texts)
-async function searchSemantic(query, k = 6) {
-  const v = loadVec();
-  if (!v.items.length) return [];
-  const [qvec] = await embedTexts([String(query || '')]);
-  if (!qvec) return []; // no embeddings available
-  const scored = v.items.map(it => ({ it, score: cosine(qvec, it.vec) }));
-  scored.sort((a,b)=>b.score-a.score);
-  return scored.slice(0, k).map(s => ({ text: s.it.text, ts: s.it.ts, score: s.score }));
+//////////////////////
+// LLM (provider layer)
+//////////////////////
+// Thin wrappers so call sites stay unchanged; backend, model routing and timeouts live in llm/.
+function callLLM(messages, opts = {}) {
+  return llm.chat(messages, opts);
 }
-
-// Hybrid recall: combine (semantic ⊕ keyword+recency), de-dup, rank
-async function recallHybrid(query, limit = 6) {
-  const sem = await searchSemantic(query, limit * 2); // grab more, filter later
-  const kwr = recallMemoriesKeywordRecency(query, limit * 2).map(m => ({ text: m.content, ts: m.timestamp, score: 0 }));
-  const seen = new Set();
-  const merged = [];
-  for (const src of [sem, kwr]) {
-    for (const r of src) {
-      const key = r.text.slice(0, 200);
-      if (seen.has(key)) continue;
-      seen.add(key);
-      merged.push(r);
-      if (merged.length >= limit) break;
-    }
-    if (merged.length >= limit) break;
-  }
-  return merged;
+// One assistant turn that may request tool calls → { content, tool_calls }
+function turnLLM(messages, opts = {}, onToken = null) {
+  return llm.turn(messages, opts, onToken);
 }
 
 ///////////////////////
@@ -310,104 +466,32 @@ function stripLeadingName(s) {
   return String(s).replace(/^\s*aurion\s*(?:—|–|-|:)\s*/i, '');
 }
 
-const PROPOSALS_DIR = path.join(DISK_PATH, 'proposals');
-const BACKUPS_DIR   = path.join(DISK_PATH, 'backups');
-for (const d of [PROPOSALS_DIR, BACKUPS_DIR]) { try { fs.mkdirSync(d, { recursive: true }); } catch {} }
-
-function writeWithBackup(absPath, nextContent) {
-  const stamp = new Date().toISOString().replace(/[:.]/g,'-');
-  const rel = path.relative(process.cwd(), absPath);
-  const backupPath = path.join(BACKUPS_DIR, rel + `.backup.${stamp}`);
-  try { fs.mkdirSync(path.dirname(backupPath), { recursive: true }); } catch {}
-  if (fs.existsSync(absPath)) fs.copyFileSync(absPath, backupPath);
-  fs.writeFileSync(absPath, nextContent, 'utf8');
-  return backupPath;
-}
+const proposals = storage.records('proposals'); // one record per proposal id
 
-// ---- WRITE FENCE: only allow addons/** (and optional core.json) ----
-const PATCH_ALLOW = ['addons/']; // add 'core.json' if you want to allow core edits
-function assertAllowed(target) {
-  if (target === 'core.json') return true; // optional; remove if not allowed
-  const ok = PATCH_ALLOW.some(p => target === p || target.startsWith(p));
-  if (!ok) throw new Error(`Path not allowed by write fence: ${target}`);
-}
+// Patch format lives in selfedit/patch.js, the write fence in selfedit/fence.js; history lives in git (selfedit/git.js).
+// Applying keeps an in-memory snapshot of each touched file so a failed apply puts the tree back exactly.
 
-function isValidPatch(p) {
-  return p && typeof p.target === 'string' && typeof p.action === 'string';
-}
-function applyJsonPatch(patch) {
-  assertAllowed(patch.target);
-
-  const abs = path.join(process.cwd(), patch.target);
-  if (patch.action === 'create') {
-    if (fs.existsSync(abs)) throw new Error(`File already exists: ${patch.target}`);
-    fs.mkdirSync(path.dirname(abs), { recursive: true });
-    fs.writeFileSync(abs, patch.snippet || '', 'utf8');
-    return { backupPath: null, target: patch.target };
-  }
-
-  if (!fs.existsSync(abs)) throw new Error(`File not found: ${patch.target}`);
-  const current = fs.readFileSync(abs, 'utf8');
-  let next = current;
-
-  if (patch.action === 'replace') {
-    if (!patch.find) throw new Error('replace requires "find"');
-    const before = next;
-    next = next.replace(patch.find, patch.replace ?? '');
-    if (next === before) throw new Error(`No match for "find" in ${patch.target}`);
-  } else if (patch.action === 'append') {
-    next = current + '\n' + (patch.snippet || '');
-  } else if (patch.action === 'insertAfter') {
-    const anchor = patch.anchor || '';
-    const idx = current.indexOf(anchor);
-    if (idx === -1) throw new Error(`Anchor not found in ${patch.target}`);
-    const pos = idx + anchor.length;
-    next = current.slice(0, pos) + '\n' + (patch.snippet || '') + current.slice(pos);
-  } else {
-    throw new Error(`Unsupported action: ${patch.action}`);
-  }
-
-  const backupPath = writeWithBackup(abs, next);
-  return { backupPath, target: patch.target };
+// Fence check before anything is written; denials are audited under `source` → 403 body, or null when allowed
+function fenceDenied(patches, source) {
+  const denied = fence.checkPatches(patches, { source });
+  return denied.length ? { error: 'Write fence denied the patch targets.', denied } : null;
 }
 
 /////////////////////
 // Health Endpoint //
 /////////////////////
-app.get('/healthz', (_req, res) => res.json({ ok: true, time: new Date().toISOString() }));
+app.get('/healthz', (_req, res) => res.json({ ok: true, time: new Date().toISOString(), storage: storage.BACKEND, llm: llm.provider().name }));
 
 //////////////////////////
 // Safe Self-Read (RO)  //
 //////////////////////////
-const SELFREAD_ENABLED = String(process.env.AURION_ENABLE_SELFREAD || 'true') === 'true';
-const SELFREAD_DENY = ['node_modules/','backups/','proposals/','.git/','.env','.env.local','.env.production','.env.development'];
-const SELFREAD_MAX = 256 * 1024;
-const ROOT = process.cwd();
-
-function srNormalize(relPath) {
-  const abs = path.resolve(ROOT, relPath);
-  if (!abs.startsWith(ROOT)) throw new Error('Path traversal blocked');
-  const rel = path.relative(ROOT, abs).replaceAll('\\','/');
-  for (const bad of SELFREAD_DENY) {
-    if (rel === bad || rel.startsWith(bad)) throw new Error(`Access denied: ${rel}`);
-  }
-  return { abs, rel };
-}
+const { SELFREAD_ENABLED, listTree, readSlice, grep, hashFile } = selfread;
+app.use('/selfread', requireScope('chat'));
+
 app.get('/selfread/tree', (_req, res) => {
   try {
     if (!SELFREAD_ENABLED) return res.status(403).json({ ok:false, error:'disabled' });
-    const out = [];
-    (function walk(dir, depth=0) {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const e of entries) {
-        const full = path.join(dir, e.name);
-        const rel = path.relative(ROOT, full).replaceAll('\\','/') + (e.isDirectory()?'/':'');
-        if (SELFREAD_DENY.some(d => rel === d || rel.startsWith(d))) continue;
-        out.push({ rel, dir: e.isDirectory(), depth });
-        if (e.isDirectory() && depth < 4) walk(full, depth+1);
-      }
-    })(ROOT);
-    res.json({ ok:true, files: out });
+    res.json({ ok:true, files: listTree(4) });
   } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
 });
 app.post('/selfread/read', (req, res) => {
@@ -415,194 +499,238 @@ app.post('/selfread/read', (req, res) => {
     if (!SELFREAD_ENABLED) return res.status(403).json({ ok:false, error:'disabled' });
     const { path: relPath, start=0, end=null, base64=false } = req.body || {};
     if (!relPath) return res.status(400).json({ ok:false, error:"Missing 'path'" });
-    const { abs, rel } = srNormalize(relPath);
-    const stat = fs.statSync(abs);
-    if (!stat.isFile()) return res.status(400).json({ ok:false, error:'Not a file' });
-    const size = stat.size;
-    const s = Math.max(0, Number(start)||0);
-    const e = end==null ? Math.min(size, s + SELFREAD_MAX) : Math.min(size, Number(end));
-    if ((e - s) > SELFREAD_MAX) return res.status(413).json({ ok:false, error:'Slice too large' });
-    const fd = fs.openSync(abs, 'r');
-    const buf = Buffer.alloc(e - s);
-    fs.readSync(fd, buf, 0, e - s, s);
-    fs.closeSync(fd);
-    res.json({ ok:true, rel, size, start:s, end:e, content: base64 ? buf.toString('base64') : buf.toString('utf8') });
-  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+    res.json({ ok:true, ...readSlice(relPath, { start, end, base64 }) });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
 });
 app.post('/selfread/grep', (req, res) => {
   try {
     if (!SELFREAD_ENABLED) return res.status(403).json({ ok:false, error:'disabled' });
     const { pattern, path: relPath='.' } = req.body || {};
     if (!pattern) return res.status(400).json({ ok:false, error:"Missing 'pattern'" });
-    const { abs } = srNormalize(relPath);
-    const rx = new RegExp(pattern, 'i');
-    const results = [];
-    (function walk(dir) {
-      for (const e of fs.readdirSync(dir, { withFileTypes:true })) {
-        const full = path.join(dir, e.name);
-        const rel = path.relative(ROOT, full).replaceAll('\\','/');
-        if (SELFREAD_DENY.some(d => rel === d || rel.startsWith(d))) continue;
-        if (e.isDirectory()) { if (rel.split('/').length < 10) walk(full); continue; }
-        const stat = fs.statSync(full);
-        if (stat.size > SELFREAD_MAX) continue;
-        let text = '';
-        try { text = fs.readFileSync(full, 'utf8'); } catch { continue; }
-        const lines = text.split(/\r?\n/);
-        for (let i=0;i<lines.length;i++) {
-          if (rx.test(lines[i])) results.push({ file: rel, line: i+1, preview: lines[i].slice(0,300) });
-          if (results.length >= 500) break;
-        }
-        if (results.length >= 500) break;
-      }
-    })(abs);
-    res.json({ ok:true, pattern, hits: results.slice(0,500) });
-  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+    res.json({ ok:true, pattern, hits: grep(pattern, relPath) });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
 });
 app.post('/selfread/hash', (req, res) => {
   try {
     if (!SELFREAD_ENABLED) return res.status(403).json({ ok:false, error:'disabled' });
     const { path: relPath } = req.body || {};
     if (!relPath) return res.status(400).json({ ok:false, error:"Missing 'path'" });
-    const { abs, rel } = srNormalize(relPath);
-    const data = fs.readFileSync(abs);
-    const sha = crypto.createHash('sha256').update(data).digest('hex');
-    res.json({ ok:true, rel, sha256: sha, bytes: data.length });
-  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+    res.json({ ok:true, ...hashFile(relPath) });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
 });
 
 //////////////////////////////
 // Add-on Loader (registry) //
 //////////////////////////////
-const ADDON_DIR = path.join(process.cwd(), 'addons');
-const REGISTRY = path.join(ADDON_DIR, 'registry.json');
-function loadAddons(appRef) {
-  try {
-    const manifest = fs.existsSync(REGISTRY)
-      ? JSON.parse(fs.readFileSync(REGISTRY, 'utf8'))
-      : { addons: [] };
-    for (const item of manifest.addons || []) {
-      if (item.enabled === false) continue;
-      const p = path.join(ADDON_DIR, item.file);
-      delete require.cache[require.resolve(p)];
-      const mod = require(p);
-      if (typeof mod.register === 'function') mod.register(appRef);
-    }
-    console.log(`[addons] loaded ${manifest.addons?.length || 0} entries`);
-  } catch (e) {
-    console.error('[addons] load failed:', e.message);
-  }
-}
-loadAddons(app); // mount at startup
+// Each add-on gets its own router behind one dispatcher (addons.js), so add-ons can be
+// enabled, disabled and reloaded live; registry.json edits are picked up by a file watcher.
+// Manifests in registry.json declare prefix, env, dependencies and permissions; add-ons receive
+// a scoped ctx (router at their prefix, plus only the capabilities they declared).
+require('./tools/builtin').registerBuiltins({ loadCoreArray });
+addons.loadAddons(app, { guard: requireScope('chat') }); // add-on routes are chat-level; watch registry.json
+
+// Add-on admin: list, enable/disable (persisted to registry.json), reload from disk
+app.get('/addons', requireScope('core'), (_req, res) => {
+  try { res.json({ ok: true, addons: addons.list() }); }
+  catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+});
+app.post('/addons/:name/:action(enable|disable|reload)', requireScope('approve'), (req, res) => {
+  try {
+    const { name, action } = req.params;
+    const addon = action === 'reload' ? addons.reload(name) : addons.setEnabled(name, action === 'enable');
+    if (addon?.error) return res.status(500).json({ ok:false, error: addon.error, addon });
+    res.json({ ok: true, addon });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
+});
+
+// Tools currently offered to the model (core + add-ons)
+app.get('/aurion/tools', requireScope('chat'), (_req, res) => {
+  res.json({ ok: true, tools: tools.listTools() });
+});
 
 //////////////////////////////////////
 // Simple direct readfile (GET API) //
 //////////////////////////////////////
-app.get('/aurion/readfile', (req, res) => {
+app.get('/aurion/readfile', requireScope('chat'), (req, res) => {
   try {
     if (!SELFREAD_ENABLED) return res.status(403).json({ ok:false, error:'disabled' });
     const name = String(req.query.name || '').trim();
     if (!name) return res.status(400).json({ ok:false, error:'Missing ?name=' });
-    const { abs, rel } = srNormalize(name);
-    const stat = fs.statSync(abs);
-    if (!stat.isFile()) return res.status(400).json({ ok:false, error:'Not a file' });
-    const size = Math.min(stat.size, SELFREAD_MAX);
-    const fd = fs.openSync(abs, 'r');
-    const buf = Buffer.alloc(size);
-    fs.readSync(fd, buf, 0, size, 0);
-    fs.closeSync(fd);
-    res.json({ ok:true, rel, size:stat.size, content: buf.toString('utf8') });
-  } catch (e) { res.status(500).json({ ok:false, error:String(e.message||e) }); }
+    const { rel, size, content } = readSlice(name);
+    res.json({ ok:true, rel, size, content });
+  } catch (e) { res.status(e.status || 500).json({ ok:false, error:String(e.message||e) }); }
 });
 
 /////////////////////////////
-// Chat Handler (JSON API) //
+// Chat Handler (JSON + SSE) //
 /////////////////////////////
+// Streaming is opt-in: `Accept: text/event-stream`, `?stream=1`, or `{ stream: true }` in the body.
+// Events: `token` {t} and `tool` {name, ok} as they happen, then `related` [..], then `done` {ok, reply}
+// (or `error` {error}).
+function wantsStream(req) {
+  if (req.body?.stream === true || String(req.query?.stream || '') === '1') return true;
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+function sseStart(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx/Render)
+  });
+  res.flushHeaders?.();
+}
+function sseSend(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Holds back the first few chars so a leading "Aurion:" can be stripped before anything is sent.
+function nameStripper(emit) {
+  let head = '', flushed = false;
+  return {
+    push(delta) {
+      if (flushed) return emit(delta);
+      head += delta;
+      if (head.length < 16) return;
+      flushed = true;
+      const out = stripLeadingName(head);
+      if (out) emit(out);
+    },
+    end() {
+      if (flushed) return;
+      flushed = true;
+      const out = stripLeadingName(head);
+      if (out) emit(out);
+    }
+  };
+}
+
+// Tool-calling loop: the model may call registered tools (tools/) and reason over the results.
+// Each round offers every tool; after AURION_TOOL_MAX_ROUNDS the model must answer in text.
+// Tool calls and results live only in this request's message list; the transcript keeps the final reply.
+const TOOL_MAX_ROUNDS = Number(process.env.AURION_TOOL_MAX_ROUNDS || 4);
+const REPLY_TOKENS = 900;
+async function runToolLoop(messages, { model, ctx, signal, onToken = null, onTool = null }) {
+  const specs = tools.toOpenAI();
+  const used = [];
+  for (let round = 0; ; round++) {
+    const last = round >= TOOL_MAX_ROUNDS;
+    if (round) fitToolResults(messages, { model, maxReply: REPLY_TOKENS }); // results pile up across rounds
+    const r = await turnLLM(messages, {
+      model, temperature: 0.6, max_tokens: REPLY_TOKENS, signal,
+      ...(specs.length ? { tools: specs, tool_choice: last ? 'none' : 'auto' } : {})
+    }, onToken);
+    if (!r.tool_calls?.length || last || signal?.aborted) return { reply: r.content || '', used };
+
+    messages.push({ role: 'assistant', content: r.content || null, tool_calls: r.tool_calls });
+    for (const call of r.tool_calls) {
+      const name = call.function?.name || '';
+      const { ok, output } = await tools.runTool(name, call.function?.arguments, ctx);
+      used.push({ name, ok });
+      if (onTool) onTool({ name, ok });
+      messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
+  }
+}
+
+// Hard cap on request size only; what reaches the model is decided by the token budget (prompt.js)
+const MAX_MESSAGE_CHARS = 32000;
 async function chatHandler(req, res) {
+  const streaming = wantsStream(req);
   try {
-    const { user = 'anon', message = '' } = req.body || {};
+    const { user = 'anon', message = '', conv_id = null } = req.body || {};
+    const debug = req.body?.debug === true || req.query.debug === '1'; // `related` explains each recalled memory
     const who = String(user || 'anon').slice(0, 64);
-    const msg = String(message || '').slice(0, 8000);
+    const msg = String(message || '').slice(0, MAX_MESSAGE_CHARS);
     if (!msg) return res.status(400).json({ ok:false, error:'Missing "message".' });
 
+    // Thread: continue the given conversation, or start a new one titled after this message
+    let conv;
+    if (conv_id) {
+      conv = convForUser(conv_id, who);
+      if (!conv) return res.status(404).json({ ok:false, error:'Conversation not found' });
+      if (conv.archived) return res.status(409).json({ ok:false, error:'Conversation is archived' });
+    } else {
+      conv = memory.createConversation({ user: who, title: msg });
+    }
+    const convId = conv.id;
+
+    // Same reply path for both modes; in JSON mode tokens are simply not forwarded
+    if (streaming) sseStart(res);
+    const finish = (reply, related, used, prompt) => {
+      memory.touchConversation(convId);
+      if (!streaming) return res.json({ ok: true, reply, related, tools: used, prompt, conv_id: convId });
+      sseSend(res, 'related', related);
+      sseSend(res, 'done', { ok: true, reply, conv_id: convId });
+      res.end();
+    };
+
     const coreArr = loadCoreArray();
 
-    // Log inbound to transcripts + rolling memory
-    appendTranscript(who, 'user', msg);
-    storeMemory(`User ${who}: ${msg}`, ['chat']);
-
-    // Build lightweight memory bullets for prompt (token-thrifty)
-    const recent = lastTurnsForUser(who, 6).slice(0, -1) // exclude current msg
-      .map(t => `${t.role === 'user' ? 'U' : 'A'}: ${t.content}`.slice(0, 160));
-
-    // NEW: semantic + keyword/recency hybrid (de-duplicated)
-    const semHits = await recallHybrid(msg, 6);
-    const relatedMems = semHits.map(h => h.text.slice(0,160));
-
-    const memoryBullets = [...recent, ...relatedMems].slice(0, 6);
-
-    // Natural triggers: “read/open/show <file>”
-    const fileRegex = /\b(read|open|show)\s+([A-Za-z0-9_.\-\/]+(?:\.[A-Za-z0-9]+)?)\b/i;
-    const m1 = msg.match(fileRegex);
-    if (m1) {
-      const file = m1[2];
-      try {
-        const { abs, rel } = srNormalize(file);
-        const size = Math.min(fs.statSync(abs).size, SELFREAD_MAX);
-        const fd = fs.openSync(abs,'r'); const buf=Buffer.alloc(size);
-        fs.readSync(fd,buf,0,size,0); fs.closeSync(fd);
-        const preview = buf.toString('utf8');
-        const reply = `Here is ${rel} (showing up to ${SELFREAD_MAX} bytes):\n\n${preview}`;
-        appendTranscript(who,'assistant',reply);
-        storeMemory(`Aurion: served file ${rel}`, ['response','file']);
-        return res.json({ ok:true, reply, related:[] }); // EARLY RETURN (prevents double reply)
-      } catch (e) {
-        // fall through to LLM with context about failure
-        storeMemory(`File read failed for ${file}: ${e.message}`, ['error','file']);
-      }
-    }
-    // Generic phrase fallback: “read your own code” → default to server.js
-    if (/\bread (?:your|ya|the)\s+(?:own\s+)?code\b/i.test(msg) || /\bsee (?:your|the)\s+code\b/i.test(msg)) {
-      try {
-        const { abs, rel } = srNormalize('server.js');
-        const size = Math.min(fs.statSync(abs).size, SELFREAD_MAX);
-        const fd = fs.openSync(abs,'r'); const buf=Buffer.alloc(size);
-        fs.readSync(fd,buf,0,size,0); fs.closeSync(fd);
-        const preview = buf.toString('utf8');
-        const reply = `Here is ${rel} (showing up to ${SELFREAD_MAX} bytes):\n\n${preview}`;
-        appendTranscript(who,'assistant',reply);
-        storeMemory(`Aurion: served default file ${rel}`, ['response','file']);
-        return res.json({ ok:true, reply, related:[] }); // EARLY RETURN
-      } catch (e) {
-        storeMemory(`Default file read failed: ${e.message}`, ['error','file']);
-      }
+    // Log inbound to transcripts + memory engine (window + episodic + vectors)
+    const inbound = appendTranscript(who, 'user', msg, convId);
+    const stored = await memory.recordUser({ convId, user: who, text: msg, ts: inbound.ts });
+
+    // Window, active state and intent-bucketed hybrid recall in one call (the message itself is left out)
+    const ctx = await memory.retrieveContext({ convId, userQuery: msg, k: 6, exclude: [stored.id] });
+    const history = ctx.window.slice(0, -1); // exclude current msg; older turns are in ctx.summary
+
+    // Memory bullets: active state first, then recalled memories in rank order
+    const relatedMems = debug
+      ? ctx.related.map(h => ({ id: h.id, text: h.text.slice(0,160), bucket: h.bucket, ts: h.ts, ...h.explain }))
+      : ctx.related.map(h => h.text.slice(0,160));
+    const activeBullets = Object.entries(ctx.active)
+      .filter(([k, v]) => v != null && k !== 'persona_flags')
+      .map(([k, v]) => `ACTIVE ${k}: ${JSON.stringify(v)}`);
+
+    // Core, memory, history and the message share the model's token budget (prompt.js)
+    const model = llm.pickModel(msg);
+    const { messages, report: prompt } = buildPrompt({
+      model,
+      maxReply: REPLY_TOKENS,
+      compose: composeSystemPrompt,
+      core: coreArr.filter(d => d.enabled),
+      memory: [...activeBullets, ...ctx.related.map(h => h.text)],
+      profile: memory.profileLines(who),
+      summary: ctx.summary,
+      history: history.map(t => ({ role: t.role, content: t.content })),
+      user: msg
+    });
+    if (streaming) sseSend(res, 'prompt', prompt);
+
+    // LLM + tools -> sanitize leading "Aurion:" if present
+    let gone = null;
+    if (streaming) {
+      gone = new AbortController();
+      res.on('close', () => { if (!res.writableEnded) gone.abort(); });
     }
+    const out = streaming ? nameStripper(t => sseSend(res, 'token', { t })) : null;
+    const { reply: raw, used } = await runToolLoop(messages, {
+      model,
+      ctx: { user: who, convId },
+      signal: gone?.signal,
+      onToken: out ? (d => out.push(d)) : null,
+      onTool: streaming ? (t => sseSend(res, 'tool', t)) : null
+    });
+    out?.end();
+    const reply = stripLeadingName(raw);
+
+    // Log outbound (full reply, even if the stream client disconnected mid-way)
+    const outbound = appendTranscript(who, 'assistant', reply, convId);
+    await memory.recordAssistant({ convId, user: who, text: reply, ts: outbound.ts });
+    // Summaries + profile facts: best-effort, off the reply path
+    memory.postTurn({ convId, user: who, text: msg, ts: inbound.ts }).catch(e => console.error('[memory]', e.message));
 
-    // Compose messages with memory bullets injected into system prompt
-    const system = composeSystemPrompt(coreArr, memoryBullets);
-    const turns = lastTurnsForUser(who, 10).slice(0, -1)
-      .map(t => ({ role: t.role, content: t.content }));
-    const messages = [
-      { role: 'system', content: system },
-      ...turns,
-      { role: 'assistant', content: 'Selected past memories: ' + JSON.stringify(relatedMems) },
-      { role: 'user', content: msg }
-    ];
-
-    // LLM -> sanitize leading "Aurion:" if present
-    let reply = await callLLM(messages, { temperature: 0.6, max_tokens: 900 });
-    reply = stripLeadingName(reply);
-
-    // Log outbound
-    appendTranscript(who, 'assistant', reply);
-    storeMemory(`Aurion: ${reply}`, ['response']);
-
-    res.json({ ok: true, reply, related: relatedMems });
+    finish(reply, relatedMems, used, prompt);
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e.message || e) });
+    if (!streaming) return res.status(500).json({ ok: false, error: String(e.message || e) });
+    sseSend(res, 'error', { ok: false, error: String(e.message || e) });
+    res.end();
   }
 }
-app.post('/aurion/chat', chatHandler);
-app.post('/chat', chatHandler); // compat
+app.post('/aurion/chat', requireScope('chat'), chatHandler);
+app.post('/chat', requireScope('chat'), chatHandler); // compat
 
 ////////////////////////////////////
 // Self-Rewrite (Mirror) Endpoints //
@@ -613,8 +741,16 @@ async function generatePatch({ goal, codeContext }) {
     '',
     'You output ONLY a JSON object with keys:',
     '{ goal, rationale, patches[], tests[], risk, revert }',
-    'Patch schema:',
-    '{ target, action:(create|insertAfter|append|replace), [anchor], [find], [replace], [snippet] }',
+    'Patch schema: { target, action, ...fields } with one of these actions:',
+    '  create { snippet } | delete {} | rename { to }',
+    '  replace { find, replace }  (first literal match)',
+    '  regexReplace { pattern, flags?, replace, count? }  (every match; count = expected number of matches)',
+    '  replaceLines { startLine, endLine, snippet }  (1-based, inclusive; use line numbers from the context)',
+    '  append { snippet } | insertAfter { anchor, snippet } | insertBefore { anchor, snippet }',
+    '  jsonSet { path, value } | jsonMerge { path?, value }  (JSON files; path is a JSON Pointer, "/list/-" appends)',
+    'Use jsonSet/jsonMerge for JSON files such as addons/registry.json and core.json.',
+    fence.describe(),
+    sandbox.describe(),
     'Constraints: Prefer additive changes; minimal lines; include at least one validation step.'
   ].join('\n');
 
@@ -643,16 +779,18 @@ async function generatePatch({ goal, codeContext }) {
 }
 
 // Propose
-app.post('/selfedit/propose', async (req, res) => {
+app.post('/selfedit/propose', requireScope('core'), async (req, res) => {
   try {
     const { goal, codeContext } = req.body || {};
     if (!goal) return res.status(400).json({ error: "Missing 'goal'." });
 
     const proposal = await generatePatch({ goal, codeContext });
+    const blocked = fenceDenied(proposal.patches, 'propose');
+    if (blocked) return res.status(403).json({ ...blocked, proposal });
     const id = crypto.randomBytes(8).toString('hex');
     const record = { id, createdAt: new Date().toISOString(), status: 'proposed', proposal };
 
-    fs.writeFileSync(path.join(PROPOSALS_DIR, `${id}.json`), JSON.stringify(record, null, 2), 'utf8');
+    proposals.put(id, record);
     storeMemory(`Self-edit proposed: ${goal} (#${id})`, ['selfedit','proposed']);
 
     res.json({ ok: true, id, proposal });
@@ -661,124 +799,225 @@ app.post('/selfedit/propose', async (req, res) => {
   }
 });
 
-// Validate (dry run)
-app.post('/selfedit/validate', async (req, res) => {
+// Validate (dry run in a throwaway copy of the repo; the live tree is never touched)
+app.post('/selfedit/validate', requireScope('approve'), async (req, res) => {
   try {
     const { id } = req.body || {};
     if (!id) return res.status(400).json({ error: "Missing 'id'." });
-    const pPath = path.join(PROPOSALS_DIR, `${id}.json`);
-    if (!fs.existsSync(pPath)) return res.status(404).json({ error: 'Proposal not found.' });
-    const record = JSON.parse(fs.readFileSync(pPath, 'utf8'));
+    const record = proposals.get(id);
+    if (!record) return res.status(404).json({ error: 'Proposal not found.' });
 
-    const backups = [];
-    try {
-      for (const patch of record.proposal.patches) {
-        const result = applyJsonPatch(patch);
-        if (result.backupPath) backups.push(result);
-      }
-    } catch (e) {
-      for (const b of backups.reverse()) {
-        if (b.backupPath) fs.copyFileSync(b.backupPath, path.join(process.cwd(), b.target));
-      }
-      return res.status(422).json({ error: 'Patch failed to apply', detail: String(e.message || e) });
-    }
-
-    const steps = record.proposal.tests?.length
-      ? record.proposal.tests
-      : [{ cmd: 'npm run build', description: 'Build should pass' }];
+    const blocked = fenceDenied(activePatches(record), 'validate');
+    if (blocked) return res.status(403).json(blocked);
+    const v = await validateProposal({ ...record.proposal, patches: activePatches(record) });
+    if (v.applyError) return res.status(422).json({ error: 'Patch failed to apply', detail: v.applyError });
 
-    const results = [];
-    let allOk = true;
-    for (const s of steps) {
-      const r = await runCmd(s.cmd);
-      results.push({ step: s.description || s.cmd, ok: r.ok, code: r.code, stdout: r.stdout, stderr: r.stderr });
-      if (!r.ok) allOk = false;
-    }
+    record.status = v.allOk ? 'validated' : 'failed_validation';
+    record.validation = { allOk: v.allOk, checks: v.checks, results: v.results, ranAt: new Date().toISOString() };
+    proposals.put(record.id, record);
 
-    for (const b of backups.reverse()) {
-      if (b.backupPath) fs.copyFileSync(b.backupPath, path.join(process.cwd(), b.target));
-    }
-
-    record.status = allOk ? 'validated' : 'failed_validation';
-    record.validation = { allOk, results, ranAt: new Date().toISOString() };
-    fs.writeFileSync(pPath, JSON.stringify(record, null, 2), 'utf8');
-
-    res.json({ ok: true, id, allOk, results });
+    res.json({ ok: true, id, allOk: v.allOk, checks: v.checks, results: v.results });
   } catch (e) {
     res.status(500).json({ error: String(e.message || e) });
   }
 });
 
 // Approve (final apply)
-app.post('/selfedit/approve', async (req, res) => {
+app.post('/selfedit/approve', requireScope('approve'), async (req, res) => {
   try {
     const { id } = req.body || {};
     if (!id) return res.status(400).json({ error: "Missing 'id'." });
-    const pPath = path.join(PROPOSALS_DIR, `${id}.json`);
-    if (!fs.existsSync(pPath)) return res.status(404).json({ error: 'Proposal not found.' });
-    const record = JSON.parse(fs.readFileSync(pPath, 'utf8'));
-
-    const backups = [];
-    for (const patch of record.proposal.patches) {
-      const result = applyJsonPatch(patch);
-      if (result.backupPath) backups.push(result);
+    const record = proposals.get(id);
+    if (!record) return res.status(404).json({ error: 'Proposal not found.' });
+    if (record.apply?.commit && record.status !== 'rolled_back') {
+      return res.status(409).json({ error: `Already applied as ${record.apply.commit}` });
+    }
+    const patches = activePatches(record);
+    if (!patches.length) return res.status(409).json({ error: 'Every patch in this proposal was rejected in review.' });
+    const blocked = fenceDenied(patches, 'approve');
+    if (blocked) return res.status(403).json(blocked);
+    await selfGit.repoRoot(); // no repo → 409 before anything is written
+
+    let applied;
+    try { applied = applyPatches(patches, process.cwd(), { source: 'approve' }); }
+    catch (e) { return res.status(422).json({ error: 'Patch failed to apply', detail: String(e.message || e) }); }
+
+    let commit;
+    try {
+      commit = await selfGit.commitFiles(applied.map(a => a.target), selfGit.editMessage({ id, ...record.proposal }));
+    } catch (e) {
+      restoreSnapshots(applied);
+      throw e;
     }
 
     const build = await runCmd('npm run build');
     const buildOk = build.ok;
+    addons.sync(); // changed or newly enabled add-ons go live without a restart
 
     record.status = buildOk ? 'applied' : 'applied_with_build_errors';
     record.apply = {
       appliedAt: new Date().toISOString(),
-      backups: backups.map(b => ({ file: b.target, backup: b.backupPath })),
+      branch: selfGit.BRANCH,
+      commit,
+      files: [...new Set(applied.map(a => a.target))],
+      patches: record.proposal.patches.map((_p, i) => i).filter(i => record.review?.decisions?.[i] !== 'rejected'),
       buildOk,
       stdout: build.stdout,
       stderr: build.stderr
     };
-    fs.writeFileSync(pPath, JSON.stringify(record, null, 2), 'utf8');
+    delete record.rollback;
+    proposals.put(record.id, record);
 
-    storeMemory(`Self-edit approved (#${id}). BuildOK=${buildOk}`, ['selfedit','approved']);
+    storeMemory(`Self-edit approved (#${id}) as ${commit.slice(0, 12)}. BuildOK=${buildOk}`, ['selfedit','approved']);
+    memory.indexDecision({ bucket: 'eng-decisions', text: `Approved self-edit #${id}: ${record.proposal.goal || ''}`.slice(0, 500) }).catch(() => {});
 
-    res.json({ ok: buildOk, id, backups: record.apply.backups, buildOk });
+    res.json({ ok: buildOk, id, commit, branch: selfGit.BRANCH, files: record.apply.files, buildOk });
   } catch (e) {
-    res.status(500).json({ error: String(e.message || e) });
+    res.status(e.status || 500).json({ error: String(e.message || e) });
   }
 });
 
 // Rollback
-app.post('/selfedit/rollback', async (req, res) => {
+app.post('/selfedit/rollback', requireScope('approve'), async (req, res) => {
   try {
     const { id } = req.body || {};
     if (!id) return res.status(400).json({ error: "Missing 'id'." });
-    const pPath = path.join(PROPOSALS_DIR, `${id}.json`);
-    if (!fs.existsSync(pPath)) return res.status(404).json({ error: 'Proposal not found.' });
-    const record = JSON.parse(fs.readFileSync(pPath, 'utf8'));
-    if (!record.apply?.backups) return res.status(400).json({ error: 'No backups recorded.' });
-
-    for (const b of record.apply.backups) {
-      if (b.backup && fs.existsSync(b.backup)) {
-        fs.copyFileSync(b.backup, path.join(process.cwd(), b.file));
-      }
-    }
+    const record = proposals.get(id);
+    if (!record) return res.status(404).json({ error: 'Proposal not found.' });
+    if (!record.apply?.commit) return res.status(400).json({ error: 'No commit recorded for this proposal.' });
+    if (record.status === 'rolled_back') return res.status(409).json({ error: `Already reverted by ${record.rollback?.commit}` });
+
+    const { reason = '' } = req.body || {};
+    const { commit, files } = await selfGit.revert(record.apply.commit, selfGit.revertMessage({
+      id, goal: record.proposal.goal, commit: record.apply.commit, reason
+    }));
     const build = await runCmd('npm run build');
+    addons.sync();
 
     record.status = 'rolled_back';
-    record.rollback = { at: new Date().toISOString(), buildOk: build.ok };
-    fs.writeFileSync(pPath, JSON.stringify(record, null, 2), 'utf8');
+    record.rollback = { at: new Date().toISOString(), commit, files, reason: String(reason).slice(0, 500), buildOk: build.ok };
+    proposals.put(record.id, record);
 
-    storeMemory(`Self-edit rolled back (#${id}).`, ['selfedit','rollback']);
-    res.json({ ok: true, id, buildOk: build.ok });
+    storeMemory(`Self-edit rolled back (#${id}) by ${commit.slice(0, 12)}.`, ['selfedit','rollback']);
+    res.json({ ok: true, id, commit, reverted: record.apply.commit, files, buildOk: build.ok });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e.message || e) });
+  }
+});
+
+//////////////////////////////
+// Review: diffs + line notes //
+//////////////////////////////
+// record.review = { decisions: { <patchIndex>: 'approved'|'rejected' }, comments: [{ id, patch, side, line, text, author, at }] }
+// Rejected patches are left out of validate and approve.
+function readProposal(id) {
+  const record = proposals.get(path.basename(String(id)));
+  return record ? { record } : null;
+}
+function activePatches(record) {
+  return (record.proposal?.patches || []).filter((_p, i) => record.review?.decisions?.[i] !== 'rejected');
+}
+
+// Dry-runs the patches in memory → unified diff per patch (against the file as the earlier patches
+// leave it) and per file (every patch that isn't rejected, combined)
+app.get('/selfedit/diff/:id', requireScope('core'), (req, res) => {
+  try {
+    const found = readProposal(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Proposal not found.' });
+    const { record } = found;
+    const decisions = record.review?.decisions || {};
+
+    const all = previewPatches(record.proposal.patches);
+    const patches = all.patches.map(p => ({
+      index: p.index, target: p.target, to: p.to || null, action: p.action, ok: p.ok, error: p.error || null,
+      decision: decisions[p.index] || 'pending',
+      ...(p.ok ? unifiedDiff(p.target, p.before, p.after) : { diff: '', hunks: [], added: 0, removed: 0 })
+    }));
+    const combined = previewPatches(activePatches(record));
+    const files = [...combined.files].filter(([, f]) => f.before !== f.after).map(([target, f]) => {
+      const { diff, added, removed } = unifiedDiff(target, f.before, f.after);
+      return { target, diff, added, removed };
+    });
+
+    res.json({
+      ok: true, id: record.id, goal: record.proposal.goal, rationale: record.proposal.rationale || '',
+      status: record.status, patches, files, comments: record.review?.comments || []
+    });
+  } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
+});
+
+// Line comment: { patch, side: 'old'|'new', line, text }
+app.post('/selfedit/review/:id/comment', requireScope('core'), (req, res) => {
+  try {
+    const found = readProposal(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Proposal not found.' });
+    const { record } = found;
+    const { patch, side = 'new', line, text } = req.body || {};
+    const idx = Number(patch);
+    if (!Number.isInteger(idx) || !record.proposal.patches[idx]) return res.status(400).json({ error: "Invalid 'patch' index" });
+    if (!['old', 'new'].includes(side)) return res.status(400).json({ error: "'side' must be old or new" });
+    if (line != null && !(Number.isInteger(Number(line)) && Number(line) > 0)) return res.status(400).json({ error: "Invalid 'line'" });
+    if (!String(text || '').trim()) return res.status(400).json({ error: "Missing 'text'" });
+
+    const comment = {
+      id: crypto.randomBytes(6).toString('hex'),
+      patch: idx, side, line: line == null ? null : Number(line),
+      text: String(text).slice(0, 4000),
+      author: req.auth?.key || 'anon',
+      at: new Date().toISOString()
+    };
+    record.review = { decisions: {}, comments: [], ...record.review };
+    record.review.comments.push(comment);
+    proposals.put(record.id, record);
+    res.json({ ok: true, comment });
+  } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
+});
+
+// Per-patch decision: { patch, decision: 'approved'|'rejected'|'pending' }
+app.post('/selfedit/review/:id/decision', requireScope('approve'), (req, res) => {
+  try {
+    const found = readProposal(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Proposal not found.' });
+    const { record } = found;
+    const { patch, decision } = req.body || {};
+    const idx = Number(patch);
+    if (!Number.isInteger(idx) || !record.proposal.patches[idx]) return res.status(400).json({ error: "Invalid 'patch' index" });
+    if (!['approved', 'rejected', 'pending'].includes(decision)) return res.status(400).json({ error: "'decision' must be approved, rejected or pending" });
+    if (record.apply?.commit && record.status !== 'rolled_back') return res.status(409).json({ error: 'Proposal is already applied' });
+
+    record.review = { decisions: {}, comments: [], ...record.review };
+    if (decision === 'pending') delete record.review.decisions[idx];
+    else record.review.decisions[idx] = decision;
+    proposals.put(record.id, record);
+    res.json({ ok: true, decisions: record.review.decisions, active: activePatches(record).length });
+  } catch (e) { res.status(500).json({ error: String(e.message || e) }); }
+});
+
+// Write fence policy + recent denials
+app.get('/selfedit/fence', requireScope('core'), (req, res) => {
+  try {
+    const { policy, error } = fence.policy();
+    res.json({ ok: !error, file: fence.POLICY_FILE, policy: policy?.raw || null, error, summary: fence.describe(), audit: fence.auditTail(Number(req.query.n) || 50) });
   } catch (e) {
     res.status(500).json({ error: String(e.message || e) });
   }
 });
 
 // List proposals
-app.get('/selfedit/list', (_req, res) => {
+// Applied proposals carry their commit hash and diff (`?diff=0` skips the diffs)
+app.get('/selfedit/list', requireScope('core'), async (req, res) => {
   try {
-    const files = fs.readdirSync(PROPOSALS_DIR).filter(f => f.endsWith('.json'));
-    const items = files.map(f => JSON.parse(fs.readFileSync(path.join(PROPOSALS_DIR, f), 'utf8')));
-    res.json({ ok: true, items: items.sort((a,b)=> (a.createdAt < b.createdAt ? 1 : -1)) });
+    const withDiff = String(req.query.diff ?? '1') !== '0';
+    const items = proposals.ids().map(id => proposals.get(id)).filter(Boolean)
+      .sort((a,b)=> (a.createdAt < b.createdAt ? 1 : -1));
+    for (const item of items) {
+      item.commit = item.apply?.commit || null;
+      item.revertCommit = item.rollback?.commit || null;
+      if (withDiff && item.commit) {
+        item.diff = await selfGit.show(item.commit).catch(e => `(diff unavailable: ${e.message})`);
+      }
+    }
+    res.json({ ok: true, branch: selfGit.BRANCH, items });
   } catch (e) {
     res.status(500).json({ error: String(e.message || e) });
   }
@@ -787,7 +1026,7 @@ app.get('/selfedit/list', (_req, res) => {
 //////////////////////////////////////////
 // API 404s -> JSON (no HTML error leaks)
 //////////////////////////////////////////
-app.all(['/aurion/*', '/selfedit/*', '/selfread/*', '/core*'], (req, res) => {
+app.all(['/aurion/*', '/selfedit/*', '/selfread/*', '/core*', '/addons*'], (req, res) => {
   res.status(404).json({ ok: false, error: 'Route not found' });
 });
 
@@ -0,0 +1,71 @@
+// /storage/file.js
+// File backend: the on-disk layout every earlier build wrote, so existing data directories work unchanged.
+//   documents → <dir>/<name>            (pretty JSON, tmp + rename)
+//   logs      → <dir>/<name>            (one JSON row per line; appends never rewrite the file)
+//   records   → <dir>/<kind>/<id>.json  (e.g. proposals/<id>.json, core-versions/000001.json)
+const fs = require("fs");
+const path = require("path");
+
+function createFileBackend({ dir }) {
+  try { fs.mkdirSync(dir, { recursive: true }); } catch {}
+  // Names are flat ("state.json", "proposals"); anything path-like is cut down to its last segment
+  const at = (...parts) => path.join(dir, ...parts.map(p => path.basename(String(p))));
+
+  function writeAtomic(p, text) {
+    const tmp = p + ".tmp";
+    fs.writeFileSync(tmp, text, "utf8");
+    fs.renameSync(tmp, p);
+  }
+
+  function readJSON(name, fallback) {
+    const p = at(name);
+    try {
+      if (!fs.existsSync(p)) return fallback;
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch {
+      return fallback;
+    }
+  }
+  function writeJSON(name, obj) { writeAtomic(at(name), JSON.stringify(obj, null, 2)); }
+  function removeJSON(name) { try { fs.unlinkSync(at(name)); } catch {} }
+
+  // A torn last line (crash mid-append) is skipped, not fatal
+  function readJSONL(name) {
+    const p = at(name);
+    const raw = fs.existsSync(p) ? fs.readFileSync(p, "utf8").trim() : "";
+    if (!raw) return [];
+    return raw.split("\n").map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  }
+  function appendJSONL(name, rows) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    if (!list.length) return;
+    fs.appendFileSync(at(name), list.map(r => JSON.stringify(r)).join("\n") + "\n", "utf8");
+  }
+  // Whole-log rewrite, for edits, deletes and compaction in an otherwise append-only log
+  function writeJSONL(name, rows) {
+    writeAtomic(at(name), rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : ""));
+  }
+
+  function records(kind) {
+    const base = at(kind);
+    try { fs.mkdirSync(base, { recursive: true }); } catch {}
+    const file = (id) => path.join(base, `${path.basename(String(id))}.json`);
+    return {
+      get(id) {
+        try { return JSON.parse(fs.readFileSync(file(id), "utf8")); } catch { return null; }
+      },
+      put(id, obj) { writeAtomic(file(id), JSON.stringify(obj, null, 2)); },
+      remove(id) { try { fs.unlinkSync(file(id)); } catch {} },
+      ids() {
+        return fs.readdirSync(base).filter(f => f.endsWith(".json")).map(f => f.slice(0, -5)).sort();
+      }
+    };
+  }
+
+  function describe() { return { backend: "file", dir }; }
+  function close() {}
+
+  return { readJSON, writeJSON, removeJSON, readJSONL, appendJSONL, writeJSONL, records, describe, close };
+}
+
+module.exports = { createFileBackend };
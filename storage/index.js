@@ -0,0 +1,48 @@
+// /storage/index.js
+// One storage interface for everything Aurion persists; the backend is picked by config.
+//   AURION_STORAGE=file (default) → plain files under AURION_DATA_DIR (default /var/data), the layout earlier
+//                                   builds wrote, so existing disks keep working unchanged
+//   AURION_STORAGE=sqlite         → one SQLite database at DB_PATH (default DATA_DIR/aurion.sqlite)
+// Three shapes cover every store. Names are the file names the file backend uses:
+//   documents  readJSON(name, fallback) · writeJSON(name, obj) · removeJSON(name)
+//   logs       readJSONL(name) · appendJSONL(name, rows) · writeJSONL(name, rows)  (whole-log rewrite)
+//   records    records(kind) → { get(id), put(id, obj), remove(id), ids() }
+// All calls are synchronous in both backends. COLLECTIONS lists what storage/migrate.js copies between them.
+// Legacy import sources (aurion_memory.jsonl, ./data/…) and the fence audit stay plain files in DATA_DIR.
+const path = require("path");
+const { createFileBackend } = require("./file");
+const { createSqliteBackend } = require("./sqlite");
+
+const DATA_DIR = path.resolve(process.env.AURION_DATA_DIR || "/var/data");
+const DB_PATH = path.resolve(process.env.DB_PATH || path.join(DATA_DIR, "aurion.sqlite"));
+const BACKENDS = ["file", "sqlite"];
+const BACKEND = String(process.env.AURION_STORAGE || "file").toLowerCase();
+if (!BACKENDS.includes(BACKEND)) throw new Error(`AURION_STORAGE must be one of: ${BACKENDS.join(", ")} (got "${BACKEND}")`);
+
+const COLLECTIONS = {
+  documents: ["core.json", "state.json", "conversations.json", "summaries.json", "migrations.json", "profiles.json"],
+  logs: ["transcripts.jsonl", "memories.jsonl", "vectors.log", "erasures.jsonl"],
+  records: ["proposals", "core-versions"]
+};
+
+function createStorage({ backend = BACKEND, dir = DATA_DIR, file = DB_PATH } = {}) {
+  if (backend === "file") return createFileBackend({ dir });
+  if (backend === "sqlite") return createSqliteBackend({ file });
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+// The process-wide store, opened on first use
+let active = null;
+function store() { return active || (active = createStorage()); }
+
+module.exports = {
+  DATA_DIR, DB_PATH, BACKEND, BACKENDS, COLLECTIONS, createStorage,
+  readJSON: (name, fallback) => store().readJSON(name, fallback),
+  writeJSON: (name, obj) => store().writeJSON(name, obj),
+  removeJSON: (name) => store().removeJSON(name),
+  readJSONL: (name) => store().readJSONL(name),
+  appendJSONL: (name, rows) => store().appendJSONL(name, rows),
+  writeJSONL: (name, rows) => store().writeJSONL(name, rows),
+  records: (kind) => store().records(kind),
+  describe: () => store().describe()
+};
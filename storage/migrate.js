@@ -0,0 +1,88 @@
+// /storage/migrate.js
+// Copies every store (storage/index.js COLLECTIONS) from one backend to the other. Stop the server first.
+//   node storage/migrate.js --from file --to sqlite        (npm run storage:migrate -- --from file --to sqlite)
+//   node storage/migrate.js --from sqlite --to file --force
+// Options: --dir <data dir> (default AURION_DATA_DIR) · --db <sqlite file> (default DB_PATH)
+//          --force   replace stores that already hold data in the target (otherwise the run stops untouched)
+//          --dry-run count what would be copied
+// The source is never modified; afterwards set AURION_STORAGE to the target and start the server.
+const { COLLECTIONS, BACKENDS, DATA_DIR, DB_PATH, createStorage } = require("./index");
+
+function parseArgs(argv) {
+  const opts = { dir: DATA_DIR, db: DB_PATH, force: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--force") opts.force = true;
+    else if (a === "--dry-run") opts.dryRun = true;
+    else if (["--from", "--to", "--dir", "--db"].includes(a)) opts[a.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  for (const k of ["from", "to"]) {
+    if (!BACKENDS.includes(opts[k])) throw new Error(`--${k} must be one of: ${BACKENDS.join(", ")}`);
+  }
+  if (opts.from === opts.to) throw new Error("--from and --to name the same backend");
+  return opts;
+}
+
+// What a store holds → { documents: { name: true }, logs: { name: rows }, records: { kind: ids } }
+function inventory(s) {
+  const out = { documents: {}, logs: {}, records: {} };
+  for (const name of COLLECTIONS.documents) out.documents[name] = s.readJSON(name, undefined) !== undefined;
+  for (const name of COLLECTIONS.logs) out.logs[name] = s.readJSONL(name).length;
+  for (const kind of COLLECTIONS.records) out.records[kind] = s.records(kind).ids().length;
+  return out;
+}
+const occupied = (inv) => [
+  ...Object.keys(inv.documents).filter(n => inv.documents[n]),
+  ...Object.keys(inv.logs).filter(n => inv.logs[n]),
+  ...Object.keys(inv.records).filter(k => inv.records[k])
+];
+
+// → report { documents, logs: { name: rows }, records: { kind: count } }
+function migrate(src, dst, { force = false, dryRun = false } = {}) {
+  const taken = occupied(inventory(dst));
+  if (taken.length && !force && !dryRun) {
+    throw new Error(`Target already holds data (${taken.join(", ")}); rerun with --force to replace it`);
+  }
+  const report = { documents: 0, logs: {}, records: {} };
+  for (const name of COLLECTIONS.documents) {
+    const doc = src.readJSON(name, undefined);
+    if (doc === undefined) { if (!dryRun && force) dst.removeJSON(name); continue; }
+    if (!dryRun) dst.writeJSON(name, doc);
+    report.documents++;
+  }
+  for (const name of COLLECTIONS.logs) {
+    const rows = src.readJSONL(name);
+    if (!dryRun && (rows.length || force)) dst.writeJSONL(name, rows);
+    report.logs[name] = rows.length;
+  }
+  for (const kind of COLLECTIONS.records) {
+    const from = src.records(kind), to = dst.records(kind);
+    const ids = from.ids();
+    if (!dryRun && force) for (const id of to.ids()) if (!ids.includes(id)) to.remove(id);
+    if (!dryRun) for (const id of ids) to.put(id, from.get(id));
+    report.records[kind] = ids.length;
+  }
+  return report;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const open = (backend) => createStorage({ backend, dir: opts.dir, file: opts.db });
+  const src = open(opts.from), dst = open(opts.to);
+  try {
+    const report = migrate(src, dst, opts);
+    const where = (s) => { const d = s.describe(); return d.dir || d.file; };
+    console.log(`${opts.dryRun ? "[dry run] would copy" : "✅ Copied"} ${opts.from} (${where(src)}) → ${opts.to} (${where(dst)})`);
+    console.log(JSON.stringify(report, null, 2));
+    if (!opts.dryRun) console.log(`Set AURION_STORAGE=${opts.to} and restart the server to use it.`);
+  } finally {
+    src.close(); dst.close();
+  }
+}
+
+if (require.main === module) {
+  try { main(); } catch (e) { console.error(`Storage migration failed: ${e.message}`); process.exit(1); }
+}
+
+module.exports = { migrate, inventory };
@@ -0,0 +1,88 @@
+// /storage/sqlite.js
+// SQLite backend (better-sqlite3): one database file holds every store. Rows are the same JSON the file
+// backend writes, so migrating in either direction is a straight copy (storage/migrate.js).
+//   documents (name PK, body, updated_at)                 ← state.json, conversations.json, core.json, …
+//   logs      (seq PK autoincrement, name, body)          ← transcripts.jsonl, memories.jsonl, vectors.log, …
+//   records   (kind, id, body, updated_at; PK kind + id)  ← proposals, core-versions
+// WAL journal: readers never block the single writer. Log rewrites run in one transaction, so a crash
+// leaves either the old or the new log, never half of each.
+const fs = require("fs");
+const path = require("path");
+
+function openDatabase(file) {
+  let Database;
+  try { Database = require("better-sqlite3"); }
+  catch { throw new Error("AURION_STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)"); }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, body TEXT NOT NULL, updated_at TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS logs (seq INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, body TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS logs_by_name ON logs (name, seq);
+    CREATE TABLE IF NOT EXISTS records (
+      kind TEXT NOT NULL, id TEXT NOT NULL, body TEXT NOT NULL, updated_at TEXT NOT NULL,
+      PRIMARY KEY (kind, id)
+    );
+  `);
+  return db;
+}
+
+function createSqliteBackend({ file }) {
+  const db = openDatabase(file);
+  const now = () => new Date().toISOString();
+  const parse = (body) => { try { return JSON.parse(body); } catch { return null; } };
+
+  const q = {
+    docGet: db.prepare("SELECT body FROM documents WHERE name = ?"),
+    docPut: db.prepare(`INSERT INTO documents (name, body, updated_at) VALUES (?, ?, ?)
+                        ON CONFLICT(name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`),
+    docDel: db.prepare("DELETE FROM documents WHERE name = ?"),
+    logAll: db.prepare("SELECT body FROM logs WHERE name = ? ORDER BY seq"),
+    logAdd: db.prepare("INSERT INTO logs (name, body) VALUES (?, ?)"),
+    logClear: db.prepare("DELETE FROM logs WHERE name = ?"),
+    recGet: db.prepare("SELECT body FROM records WHERE kind = ? AND id = ?"),
+    recPut: db.prepare(`INSERT INTO records (kind, id, body, updated_at) VALUES (?, ?, ?, ?)
+                        ON CONFLICT(kind, id) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`),
+    recDel: db.prepare("DELETE FROM records WHERE kind = ? AND id = ?"),
+    recIds: db.prepare("SELECT id FROM records WHERE kind = ? ORDER BY id")
+  };
+
+  function readJSON(name, fallback) {
+    const row = q.docGet.get(name);
+    if (!row) return fallback;
+    const doc = parse(row.body);
+    return doc === null ? fallback : doc;
+  }
+  function writeJSON(name, obj) { q.docPut.run(name, JSON.stringify(obj), now()); }
+  function removeJSON(name) { q.docDel.run(name); }
+
+  function readJSONL(name) { return q.logAll.all(name).map(r => parse(r.body)).filter(Boolean); }
+  const addRows = db.transaction((name, list) => { for (const r of list) q.logAdd.run(name, JSON.stringify(r)); });
+  function appendJSONL(name, rows) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    if (list.length) addRows(name, list);
+  }
+  const rewrite = db.transaction((name, rows) => {
+    q.logClear.run(name);
+    for (const r of rows) q.logAdd.run(name, JSON.stringify(r));
+  });
+  function writeJSONL(name, rows) { rewrite(name, rows); }
+
+  function records(kind) {
+    return {
+      get(id) { const row = q.recGet.get(kind, String(id)); return row ? parse(row.body) : null; },
+      put(id, obj) { q.recPut.run(kind, String(id), JSON.stringify(obj), now()); },
+      remove(id) { q.recDel.run(kind, String(id)); },
+      ids() { return q.recIds.all(kind).map(r => r.id); }
+    };
+  }
+
+  function describe() { return { backend: "sqlite", file }; }
+  function close() { db.close(); }
+
+  return { readJSON, writeJSON, removeJSON, readJSONL, appendJSONL, writeJSONL, records, describe, close };
+}
+
+module.exports = { createSqliteBackend };
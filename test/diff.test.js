@@ -0,0 +1,35 @@
+// test/diff.test.js — Myers line diff and unified-diff output (selfedit/diff.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines, unifiedDiff } = require("../selfedit/diff");
+
+const ops = (a, b) => diffLines(a, b).map(o => o.type + o.text);
+
+test("finds the shortest edit script", () => {
+  assert.deepEqual(ops("a\nb\nc\n", "a\nc\nd\n"), [" a", "-b", " c", "+d"]);
+  assert.deepEqual(ops("a\nb\n", "a\nb\n"), [" a", " b"]);
+});
+
+test("treats null as a missing file", () => {
+  assert.deepEqual(ops(null, "x\n"), ["+x"]);
+  assert.deepEqual(ops("x\n", null), ["-x"]);
+});
+
+test("renders hunks with line numbers and context", () => {
+  const before = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join("\n") + "\n";
+  const after = before.replace("line 5\n", "line five\n");
+  const d = unifiedDiff("addons/a.js", before, after);
+  assert.equal(d.added, 1);
+  assert.equal(d.removed, 1);
+  assert.equal(d.diff, [
+    "--- a/addons/a.js",
+    "+++ b/addons/a.js",
+    "@@ -2,7 +2,7 @@",
+    " line 2", " line 3", " line 4", "-line 5", "+line five", " line 6", " line 7", " line 8",
+    ""
+  ].join("\n"));
+});
+
+test("is empty when nothing changed", () => {
+  assert.equal(unifiedDiff("a.js", "x\n", "x\n").diff, "");
+});
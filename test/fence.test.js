@@ -0,0 +1,61 @@
+// test/fence.test.js — write fence (selfedit/fence.js): path canonicalization, policy globs, symlink escapes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "aurion-fence-"));
+process.env.AURION_DATA_DIR = path.join(tmp, "data");
+process.env.AURION_FENCE_FILE = path.join(tmp, "fence.json");
+fs.writeFileSync(process.env.AURION_FENCE_FILE, JSON.stringify({
+  allow: ["addons/**", "core.json"],
+  deny: ["**/.env*", "addons/**/*.pem"],
+  actions: { delete: { deny: ["core.json"] }, jsonSet: { allow: ["**/*.json"] } }
+}));
+const fence = require("../selfedit/fence");
+
+const root = path.join(tmp, "root");
+const outside = path.join(tmp, "outside");
+fs.mkdirSync(path.join(root, "addons"), { recursive: true });
+fs.mkdirSync(outside);
+fs.symlinkSync(outside, path.join(root, "addons", "escape"), "dir");
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const check = (target, action) => fence.check(target, { root, action });
+
+test("allows canonical paths inside the allow globs", () => {
+  assert.deepEqual(check("addons/sample.js"), { ok: true, path: "addons/sample.js" });
+  assert.equal(check("core.json").ok, true);
+});
+
+test("rejects .. and other non-canonical paths", () => {
+  for (const target of ["../server.js", "addons/../server.js", "addons/./a.js", "/etc/passwd", "addons\\a.js", "addons//a.js", ""]) {
+    const r = check(target);
+    assert.equal(r.ok, false, target);
+    assert.equal(r.rule, "path", target);
+  }
+});
+
+test("rejects paths outside the allow globs and on deny globs", () => {
+  assert.equal(check("server.js").rule, "allow");
+  assert.equal(check("addons/.env").rule, "deny:**/.env*");
+  assert.equal(check("addons/keys/site.pem").rule, "deny:addons/**/*.pem");
+});
+
+test("applies per-action rules", () => {
+  assert.equal(check("core.json", "delete").rule, "deny:core.json");
+  assert.equal(check("addons/a.js", "jsonSet").rule, "actions.jsonSet.allow");
+  assert.equal(check("addons/registry.json", "jsonSet").ok, true);
+});
+
+test("rejects targets that resolve outside the root through a symlink", () => {
+  assert.equal(check("addons/escape/evil.js").rule, "symlink");
+  assert.equal(check("addons/escape/new/dir/evil.js").rule, "symlink"); // not created yet: nearest ancestor decides
+});
+
+test("checkPatches checks both ends of a rename", () => {
+  const denied = fence.checkPatches([{ target: "addons/a.js", action: "rename", to: "server.js" }], { root, audit: false });
+  assert.equal(denied.length, 1);
+  assert.equal(denied[0].target, "server.js");
+});
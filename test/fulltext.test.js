@@ -0,0 +1,51 @@
+// test/fulltext.test.js — BM25 index over memories and transcripts (memory/fulltext.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "aurion-fulltext-"));
+process.env.AURION_DATA_DIR = tmp;
+process.env.AURION_STORAGE = "file";
+const jsonl = (rows) => rows.map(r => JSON.stringify(r)).join("\n") + "\n";
+fs.writeFileSync(path.join(tmp, "memories.jsonl"), jsonl([
+  { id: "m1", ts: "2026-01-01T00:00:00.000Z", content: "Deploy plans for the billing service", tags: ["chat"], user: "ann" },
+  { id: "m2", ts: "2026-01-02T00:00:00.000Z", content: "billing billing billing outage postmortem", tags: ["chat"], user: "bob" },
+  { id: "m3", ts: "2026-01-03T00:00:00.000Z", content: "Lunch order for the team", tags: ["response"], user: "ann" }
+]));
+fs.writeFileSync(path.join(tmp, "transcripts.jsonl"), jsonl([
+  { ts: Date.parse("2026-01-04T00:00:00.000Z"), user: "ann", conv_id: "c1", role: "user", content: "what about the deploy plan?" }
+]));
+const fulltext = require("../memory/fulltext");
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test("tokenize drops stopwords and folds plurals", () => {
+  assert.deepEqual(fulltext.tokenize("The plans of my Deploys, and class"), ["plan", "deploy", "class"]);
+});
+
+test("ranks by term frequency and finds every source", () => {
+  const { total, items } = fulltext.search("billing");
+  assert.equal(total, 2);
+  assert.deepEqual(items.map(i => i.id), ["m2", "m1"]);
+  assert.ok(items[0].score > items[1].score);
+  assert.deepEqual(fulltext.search("deploy plan").items.map(i => i.source).sort(), ["memory", "transcript"]);
+});
+
+test("rare terms weigh more than common ones", () => {
+  const [top] = fulltext.search("lunch billing").items;
+  assert.equal(top.id, "m3");
+});
+
+test("filters by source, user and role", () => {
+  assert.deepEqual(fulltext.search("deploy", { source: "transcript" }).items.map(i => i.convId), ["c1"]);
+  assert.deepEqual(fulltext.search("billing", { user: "ann" }).items.map(i => i.id), ["m1"]);
+  assert.deepEqual(fulltext.search("lunch", { role: "assistant" }).items.map(i => i.id), ["m3"]);
+});
+
+test("follows appends and removals without re-reading disk", () => {
+  fulltext.addMemory({ id: "m4", ts: "2026-01-05T00:00:00.000Z", content: "kubernetes upgrade", tags: [], user: "ann" });
+  assert.deepEqual(fulltext.search("kubernetes").items.map(i => i.id), ["m4"]);
+  fulltext.removeMemories(["m4"]);
+  assert.equal(fulltext.search("kubernetes").total, 0);
+});
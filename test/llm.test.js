@@ -0,0 +1,35 @@
+// test/llm.test.js — the mock provider (llm/mock.js) that the rest of the suite runs against
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AURION_LLM_PROVIDER = "mock";
+const llm = require("../llm");
+
+const cosine = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+
+test("mock is selected explicitly and answers deterministically", async () => {
+  assert.equal(llm.provider().name, "mock");
+  const messages = [{ role: "user", content: "hello   there" }];
+  const a = await llm.chat(messages);
+  assert.match(a, /^\[mock [0-9a-f]{8}\] You said: "hello there"$/);
+  assert.equal(await llm.chat(messages), a);
+});
+
+test("mock embeddings put texts that share words close together", async () => {
+  const [a, b, c] = await llm.embed(["deploy the billing service", "billing service deploy today", "lunch order"]);
+  assert.ok(cosine(a, b) > cosine(a, c));
+  assert.ok(Math.abs(cosine(a, a) - 1) < 1e-9);
+});
+
+test("mock calls a tool for `/tool <name> {args}` and then reports its result", async () => {
+  const tools = [{ type: "function", function: { name: "core_lookup", parameters: {} } }];
+  const first = await llm.turn([{ role: "user", content: '/tool core_lookup {"category":"ethics"}' }], { tools });
+  assert.equal(first.tool_calls[0].function.name, "core_lookup");
+  assert.equal(first.tool_calls[0].function.arguments, '{"category":"ethics"}');
+  const second = await llm.turn([
+    { role: "user", content: "/tool core_lookup {}" },
+    { role: "assistant", content: "", tool_calls: first.tool_calls },
+    { role: "tool", tool_call_id: first.tool_calls[0].id, content: "[]" }
+  ], { tools });
+  assert.equal(second.content, "[mock] Tool results: core_lookup → []");
+});
@@ -0,0 +1,91 @@
+// test/patch.test.js — patch engine (selfedit/patch.js): actions, fence checks and all-or-nothing apply
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "aurion-patch-"));
+process.env.AURION_DATA_DIR = path.join(tmp, "data");
+process.env.AURION_FENCE_FILE = path.join(tmp, "fence.json");
+fs.writeFileSync(process.env.AURION_FENCE_FILE, JSON.stringify({
+  allow: ["addons/**"],
+  actions: { jsonSet: { allow: ["**/*.json"] }, jsonMerge: { allow: ["**/*.json"] } }
+}));
+const { applyPatches, previewPatches } = require("../selfedit/patch");
+
+let root;
+test.beforeEach(() => {
+  root = fs.mkdtempSync(path.join(tmp, "root-"));
+  fs.mkdirSync(path.join(root, "addons"));
+  fs.writeFileSync(path.join(root, "addons", "a.js"), "const x = 1;\nconst y = 1;\n");
+  fs.writeFileSync(path.join(root, "addons", "b.js"), "module.exports = {};\n");
+  fs.writeFileSync(path.join(root, "addons", "registry.json"), JSON.stringify({ addons: [{ file: "a.js", enabled: true }] }, null, 2) + "\n");
+});
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const read = (f) => fs.readFileSync(path.join(root, f), "utf8");
+
+test("a target with .. is refused before anything is written", () => {
+  assert.throws(
+    () => applyPatches([{ target: "addons/../escaped.js", action: "create", snippet: "x" }], root),
+    (e) => e.status === 403 && e.fence.rule === "path"
+  );
+  assert.equal(fs.existsSync(path.join(root, "escaped.js")), false);
+});
+
+test("a symlinked directory can't be used to write outside the root", () => {
+  const outside = fs.mkdtempSync(path.join(tmp, "outside-"));
+  fs.symlinkSync(outside, path.join(root, "addons", "link"), "dir");
+  assert.throws(
+    () => applyPatches([{ target: "addons/link/evil.js", action: "create", snippet: "x" }], root),
+    (e) => e.fence.rule === "symlink"
+  );
+  assert.deepEqual(fs.readdirSync(outside), []);
+});
+
+test("regexReplace replaces every match and checks count", () => {
+  applyPatches([{ target: "addons/a.js", action: "regexReplace", pattern: "= 1", replace: "= 2", count: 2 }], root);
+  assert.equal(read("addons/a.js"), "const x = 2;\nconst y = 2;\n");
+  assert.throws(
+    () => applyPatches([{ target: "addons/a.js", action: "regexReplace", pattern: "= 2", replace: "= 3", count: 1 }], root),
+    /Expected 1 match\(es\).*found 2/
+  );
+  assert.equal(read("addons/a.js"), "const x = 2;\nconst y = 2;\n");
+});
+
+test("jsonSet with /- appends to an array", () => {
+  applyPatches([{ target: "addons/registry.json", action: "jsonSet", path: "/addons/-", value: { file: "b.js", enabled: false } }], root);
+  assert.deepEqual(JSON.parse(read("addons/registry.json")).addons, [
+    { file: "a.js", enabled: true },
+    { file: "b.js", enabled: false }
+  ]);
+});
+
+test("rename onto an existing file fails and rolls back earlier patches", () => {
+  assert.throws(
+    () => applyPatches([
+      { target: "addons/a.js", action: "append", snippet: "// touched\n" },
+      { target: "addons/a.js", action: "rename", to: "addons/b.js" }
+    ], root),
+    /File already exists: addons\/b\.js/
+  );
+  assert.equal(read("addons/a.js"), "const x = 1;\nconst y = 1;\n");
+  assert.equal(read("addons/b.js"), "module.exports = {};\n");
+});
+
+test("rename moves the content", () => {
+  applyPatches([{ target: "addons/b.js", action: "rename", to: "addons/c.js" }], root);
+  assert.equal(fs.existsSync(path.join(root, "addons", "b.js")), false);
+  assert.equal(read("addons/c.js"), "module.exports = {};\n");
+});
+
+test("previewPatches reports failures without writing", () => {
+  const { patches } = previewPatches([
+    { target: "addons/a.js", action: "replace", find: "const x", replace: "let x" },
+    { target: "addons/a.js", action: "replace", find: "missing", replace: "x" }
+  ], root);
+  assert.equal(patches[0].ok, true);
+  assert.equal(patches[1].ok, false);
+  assert.equal(read("addons/a.js"), "const x = 1;\nconst y = 1;\n");
+});
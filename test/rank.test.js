@@ -0,0 +1,49 @@
+// test/rank.test.js — recall fusion and de-duplication (memory/rank.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fuse, dedupe, parseWeights } = require("../memory/rank");
+
+const old = "2020-01-01T00:00:00.000Z";
+const weights = { semantic: 1, lexical: 1, recency: 0, importance: 0, pinned: 0, tag: 0 };
+
+test("rrf sums weight / (60 + rank) over the signals a candidate has", () => {
+  const ranked = fuse([
+    { id: "a", text: "a", ts: old, semantic: 0.9 },
+    { id: "b", text: "b", ts: old, semantic: 0.5, lexical: 2 },
+    { id: "c", text: "c", ts: old, lexical: 3 }
+  ], { mode: "rrf", weights });
+  assert.deepEqual(ranked.map(c => c.id), ["b", "a", "c"]);
+  assert.equal(ranked[0].explain.score, Number((1 / 62 + 1 / 62).toFixed(4)));
+  assert.deepEqual(ranked[0].explain.why, ["semantic #2 (cosine 0.5)", "lexical #2 (bm25 2)"]);
+});
+
+test("weighted mode normalizes BM25 against the best match", () => {
+  const ranked = fuse([
+    { id: "a", text: "a", ts: old, semantic: 0.2, lexical: 4 },
+    { id: "b", text: "b", ts: old, semantic: 0.9, lexical: 1 }
+  ], { mode: "weighted", weights });
+  assert.deepEqual(ranked.map(c => [c.id, c.explain.score]), [["a", 1.2], ["b", 1.15]]);
+});
+
+test("pinned and tagged candidates count as rank 1", () => {
+  const ranked = fuse([
+    { id: "a", text: "a", ts: old, semantic: 0.9 },
+    { id: "b", text: "b", ts: old, semantic: 0.1, pinned: true, tags: ["deploy"] }
+  ], { mode: "rrf", weights: { ...weights, pinned: 1, tag: 1 }, tags: ["deploy"] });
+  assert.equal(ranked[0].id, "b");
+  assert.deepEqual(ranked[0].explain.why.slice(1), ["pinned", "tag: deploy"]);
+});
+
+test("dedupe keeps the better-ranked copy and records the dropped one", () => {
+  const kept = dedupe(fuse([
+    { id: "a", text: "ship the billing release friday", ts: old, semantic: 0.9 },
+    { id: "b", text: "Ship the billing release Friday!", ts: old, semantic: 0.8 },
+    { id: "c", text: "lunch order", ts: old, semantic: 0.7 }
+  ], { mode: "rrf", weights }), { limit: 5 });
+  assert.deepEqual(kept.map(c => c.id), ["a", "c"]);
+  assert.deepEqual(kept[0].explain.duplicates, ["b"]);
+});
+
+test("parseWeights reads name=value lists", () => {
+  assert.deepEqual(parseWeights("semantic=2, lexical=0.5"), { semantic: 2, lexical: 0.5 });
+});
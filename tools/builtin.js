@@ -0,0 +1,108 @@
+// /tools/builtin.js
+// Core tools: read-only self inspection, memory search, core lookup.
+// Handlers receive (args, ctx) where ctx = { user, convId } of the chat turn.
+const selfread = require("../selfread");
+const memory = require("../memory");
+const { registerTool } = require("./index");
+
+function registerBuiltins({ loadCoreArray }) {
+  const guard = () => { if (!selfread.SELFREAD_ENABLED) throw new Error("self-read disabled"); };
+
+  registerTool({
+    name: "selfread_tree",
+    description: "List project files and directories (secrets, backups and node_modules excluded).",
+    parameters: { type: "object", properties: { depth: { type: "integer", minimum: 0, maximum: 4 } } },
+    handler: ({ depth = 2 }) => {
+      guard();
+      return selfread.listTree(Math.max(0, Math.min(4, Number(depth) || 0))).map(x => x.rel);
+    }
+  });
+
+  registerTool({
+    name: "selfread_read",
+    description: "Read a project file (UTF-8). Use start/end byte offsets to page through large files.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Path relative to the project root, e.g. server.js" },
+        start: { type: "integer", minimum: 0 },
+        end: { type: "integer", minimum: 0 }
+      },
+      required: ["path"]
+    },
+    handler: ({ path, start = 0, end = null }) => {
+      guard();
+      return selfread.readSlice(String(path || ""), { start, end });
+    }
+  });
+
+  registerTool({
+    name: "selfread_grep",
+    description: "Case-insensitive regex search across project files → [{file, line, preview}].",
+    parameters: {
+      type: "object",
+      properties: {
+        pattern: { type: "string" },
+        path: { type: "string", description: "Directory or file to search (default: project root)" }
+      },
+      required: ["pattern"]
+    },
+    handler: ({ pattern, path = "." }) => {
+      guard();
+      return selfread.grep(String(pattern || ""), String(path || "."), 100);
+    }
+  });
+
+  registerTool({
+    name: "selfread_hash",
+    description: "SHA-256 and byte size of a project file.",
+    parameters: { type: "object", properties: { path: { type: "string" } }, required: ["path"] },
+    handler: ({ path }) => {
+      guard();
+      return selfread.hashFile(String(path || ""));
+    }
+  });
+
+  registerTool({
+    name: "memory_search",
+    description: "Search long-term memory (this conversation's history, facts and summaries about this user, plus shared decisions and goals).",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        limit: { type: "integer", minimum: 1, maximum: 20 }
+      },
+      required: ["query"]
+    },
+    handler: async ({ query, limit = 6 }, ctx) => {
+      const hits = await memory.recallHybrid(String(query || ""), {
+        limit: Math.max(1, Math.min(20, Number(limit) || 6)),
+        convId: ctx.convId || null,
+        user: ctx.user || null,
+        buckets: ["episodic", "facts", "eng-decisions", "ui-decisions", "core-goals", "summaries"]
+      });
+      return hits.map(h => ({ text: h.text, ts: h.ts, bucket: h.bucket }));
+    }
+  });
+
+  registerTool({
+    name: "core_lookup",
+    description: "Return the PRESIDENTIAL CORE directives ({ id, category, priority, text, enabled }), highest priority first, optionally filtered by category and/or a case-insensitive substring.",
+    parameters: {
+      type: "object",
+      properties: {
+        contains: { type: "string" },
+        category: { type: "string", description: "e.g. ethics, autonomy, style" }
+      }
+    },
+    handler: ({ contains = "", category = "" }) => {
+      const q = String(contains || "").toLowerCase();
+      const cat = String(category || "").toLowerCase().trim().replace(/[^a-z0-9]+/g, "-");
+      return loadCoreArray()
+        .filter(d => (!cat || d.category === cat) && (!q || d.text.toLowerCase().includes(q)))
+        .sort((a, b) => b.priority - a.priority);
+    }
+  });
+}
+
+module.exports = { registerBuiltins };
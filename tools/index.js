@@ -0,0 +1,64 @@
+// /tools/index.js
+// Tool registry for the chat loop (OpenAI function calling).
+//   registerTool({ name, description, parameters, handler, owner })
+//     name        → [a-zA-Z0-9_-]{1,64}, unique across core + add-ons
+//     parameters  → JSON Schema for the arguments object
+//     handler     → async (args, ctx) => any JSON-serialisable result
+//     owner       → "core" or the add-on file, so an add-on's tools can be dropped together
+// runTool() never throws: errors come back as { ok:false, error } so the model can react to them.
+const MAX_OUTPUT = Number(process.env.AURION_TOOL_MAX_OUTPUT || 16 * 1024);
+
+const registry = new Map(); // name → { name, description, parameters, handler, owner }
+
+function registerTool({ name, description = "", parameters, handler, owner = "core" }) {
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(String(name || ""))) throw new Error(`Invalid tool name: ${name}`);
+  if (typeof handler !== "function") throw new Error(`Tool ${name} needs a handler`);
+  const prev = registry.get(name);
+  if (prev && prev.owner !== owner) throw new Error(`Tool ${name} already registered by ${prev.owner}`);
+  registry.set(name, {
+    name,
+    description: String(description).slice(0, 1024),
+    parameters: parameters || { type: "object", properties: {} },
+    handler,
+    owner
+  });
+}
+
+function unregisterOwner(owner) {
+  for (const [name, t] of registry) if (t.owner === owner) registry.delete(name);
+}
+
+function listTools() {
+  return [...registry.values()].map(({ name, description, parameters, owner }) => ({ name, description, parameters, owner }));
+}
+
+// Tool specs in the shape chat.completions expects
+function toOpenAI() {
+  return [...registry.values()].map(t => ({
+    type: "function",
+    function: { name: t.name, description: t.description, parameters: t.parameters }
+  }));
+}
+
+function clip(s) {
+  return s.length > MAX_OUTPUT ? s.slice(0, MAX_OUTPUT) + `\n…[truncated ${s.length - MAX_OUTPUT} chars]` : s;
+}
+
+// Runs one call; args may be the raw JSON string from the model → { ok, output } (output is a string)
+async function runTool(name, args, ctx = {}) {
+  const t = registry.get(name);
+  if (!t) return { ok: false, output: JSON.stringify({ ok: false, error: `Unknown tool: ${name}` }) };
+  let parsed = args;
+  if (typeof args === "string") {
+    try { parsed = args.trim() ? JSON.parse(args) : {}; }
+    catch { return { ok: false, output: JSON.stringify({ ok: false, error: "Arguments are not valid JSON" }) }; }
+  }
+  try {
+    const result = await t.handler(parsed || {}, ctx);
+    return { ok: true, output: clip(typeof result === "string" ? result : JSON.stringify(result)) };
+  } catch (e) {
+    return { ok: false, output: JSON.stringify({ ok: false, error: String(e.message || e) }) };
+  }
+}
+
+module.exports = { registerTool, unregisterOwner, listTools, toOpenAI, runTool };